@@ -1,56 +1,198 @@
 // AI Configuration
-import { ChatOpenAI } from "@langchain/openai";
+import { ChatOpenAI, AzureChatOpenAI } from "@langchain/openai";
+import { ChatAnthropic } from "@langchain/anthropic";
+import { FixtureChatModel } from "./fixtureModel.js";
 import * as dotenv from 'dotenv';
+import os from 'os';
+import path from 'path';
 
 dotenv.config();
 
-// Function to get AI configuration
-export function getAIConfig() {
-  const username = process.env.AI_USERNAME;
-  const base_url = process.env.AI_BASE_URL;
-  const api_key = process.env.AI_API_KEY;
-  const model = process.env.AI_MODEL;
-  
-  if (!username) {
-    throw new Error('AI_USERNAME environment variable is required');
+const DEFAULT_PROVIDER = 'openai';
+
+// Read an option, letting a provider-specific variable (e.g. AI_ANTHROPIC_TEMPERATURE) override the generic one
+function readProviderOption(provider, name) {
+  return process.env[`AI_${provider.toUpperCase()}_${name}`] ?? process.env[`AI_${name}`];
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const parsed = Number(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`${name} must be a number, got "${value}"`);
   }
-  
-  if (!base_url) {
-    throw new Error('AI_BASE_URL environment variable is required');
+  return parsed;
+}
+
+function requireEnv(name, provider) {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(`${name} environment variable is required for the "${provider}" AI provider`);
   }
-  
-  if (!api_key) {
-    throw new Error('AI_API_KEY environment variable is required');
+  return value;
+}
+
+// Provider registry: each entry validates its own settings and builds a LangChain chat model
+const providers = {
+  openai: {
+    description: 'OpenAI or any OpenAI-compatible endpoint',
+    getConfig: () => ({
+      username: process.env.AI_USERNAME,
+      base_url: process.env.AI_BASE_URL,
+      api_key: requireEnv('AI_API_KEY', 'openai'),
+      model: requireEnv('AI_MODEL', 'openai')
+    }),
+    create: (config, options) => {
+      if (config.username) {
+        console.log("Username:-----------", config.username);
+      }
+
+      return new ChatOpenAI({
+        model: config.model,
+        configuration: {
+          ...(config.base_url && { baseURL: config.base_url }),
+          defaultHeaders: { "Authorization": `Bearer ${config.api_key}` },
+        },
+        apiKey: config.api_key,
+        ...options
+      });
+    }
+  },
+
+  anthropic: {
+    description: 'Anthropic Messages API',
+    getConfig: () => ({
+      base_url: process.env.AI_BASE_URL,
+      api_key: requireEnv('AI_API_KEY', 'anthropic'),
+      model: requireEnv('AI_MODEL', 'anthropic')
+    }),
+    create: (config, { temperature, maxTokens, timeout, maxRetries }) => new ChatAnthropic({
+      model: config.model,
+      apiKey: config.api_key,
+      ...(config.base_url && { anthropicApiUrl: config.base_url }),
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens !== undefined && { maxTokens }),
+      ...(maxRetries !== undefined && { maxRetries }),
+      ...(timeout !== undefined && { clientOptions: { timeout } })
+    })
+  },
+
+  azure: {
+    description: 'Azure OpenAI deployment',
+    getConfig: () => {
+      const base_url = process.env.AI_BASE_URL;
+      const instance_name = process.env.AZURE_OPENAI_INSTANCE_NAME;
+      if (!base_url && !instance_name) {
+        throw new Error('AI_BASE_URL or AZURE_OPENAI_INSTANCE_NAME environment variable is required for the "azure" AI provider');
+      }
+      return {
+        base_url,
+        instance_name,
+        api_key: requireEnv('AI_API_KEY', 'azure'),
+        model: process.env.AZURE_OPENAI_DEPLOYMENT || requireEnv('AI_MODEL', 'azure'),
+        api_version: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+      };
+    },
+    create: (config, options) => new AzureChatOpenAI({
+      azureOpenAIApiKey: config.api_key,
+      azureOpenAIApiDeploymentName: config.model,
+      azureOpenAIApiVersion: config.api_version,
+      ...(config.base_url ? { azureOpenAIEndpoint: config.base_url } : { azureOpenAIApiInstanceName: config.instance_name }),
+      ...options
+    })
+  },
+
+  ollama: {
+    description: 'Local Ollama (or other OpenAI-compatible local server)',
+    getConfig: () => ({
+      base_url: process.env.AI_BASE_URL || 'http://localhost:11434/v1',
+      api_key: process.env.AI_API_KEY || 'ollama',
+      model: requireEnv('AI_MODEL', 'ollama')
+    }),
+    create: (config, options) => new ChatOpenAI({
+      model: config.model,
+      apiKey: config.api_key,
+      configuration: { baseURL: config.base_url },
+      ...options
+    })
+  },
+
+  fixture: {
+    description: 'Deterministic offline responses for CI and local runs without model access',
+    getConfig: () => ({
+      model: process.env.AI_MODEL || 'fixture',
+      fixture_path: process.env.AI_FIXTURE_PATH
+    }),
+    create: (config) => new FixtureChatModel({ fixturePath: config.fixture_path })
+  }
+};
+
+// Register an additional LLM provider
+export function registerLLMProvider(name, provider) {
+  if (!provider || typeof provider.getConfig !== 'function' || typeof provider.create !== 'function') {
+    throw new Error('An LLM provider needs getConfig() and create() functions');
   }
-  
-  if (!model) {
-    throw new Error('AI_MODEL environment variable is required');
+  providers[name.toLowerCase()] = provider;
+}
+
+// List the registered LLM providers
+export function getLLMProviders() {
+  return Object.entries(providers).map(([name, provider]) => ({ name, description: provider.description }));
+}
+
+// Function to get AI configuration
+export function getAIConfig() {
+  const provider = (process.env.AI_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const entry = providers[provider];
+
+  if (!entry) {
+    throw new Error(`Unknown AI_PROVIDER "${provider}". Available providers: ${Object.keys(providers).join(', ')}`);
   }
-  
-  const headers = { "Authorization": `Bearer ${api_key}` };
-  
+
+  const options = {
+    temperature: parseNumber(readProviderOption(provider, 'TEMPERATURE'), 'AI_TEMPERATURE'),
+    maxTokens: parseNumber(readProviderOption(provider, 'MAX_TOKENS'), 'AI_MAX_TOKENS'),
+    timeout: parseNumber(readProviderOption(provider, 'TIMEOUT_MS'), 'AI_TIMEOUT_MS'),
+    maxRetries: parseNumber(readProviderOption(provider, 'MAX_RETRIES'), 'AI_MAX_RETRIES')
+  };
+
   return {
-    username,
-    headers,
-    base_url,
-    api_key,
-    model
+    provider,
+    ...entry.getConfig(),
+    options: Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined))
   };
 }
 
 export function getLLMClient() {
-    const { username, headers, base_url, api_key, model } = getAIConfig();
+    const config = getAIConfig();
+    return providers[config.provider].create(config, config.options);
+}
 
-    console.log("Username:-----------", username);
+// Function to get token budgets for sending diff hunks to the LLM
+export function getDiffBudgetConfig() {
+  const tokenBudget = parseInt(process.env.AI_DIFF_TOKEN_BUDGET || '12000', 10);
+  const chunkTokenBudget = parseInt(process.env.AI_DIFF_CHUNK_TOKEN_BUDGET || '6000', 10);
+  const maxChunks = parseInt(process.env.AI_DIFF_MAX_CHUNKS || '20', 10);
 
-    const llm_client = new ChatOpenAI({
-        model: model,
-        configuration: {
-            baseURL: base_url,
-            defaultHeaders: headers,
-        },
-        apiKey: api_key,
-    });
+  return {
+    tokenBudget,
+    chunkTokenBudget: Math.min(chunkTokenBudget, tokenBudget),
+    maxChunks
+  };
+}
 
-    return llm_client;
+// Function to get the LLM generation cache settings
+// AI_CACHE: memory (default, per process), disk (shared across runs in AI_CACHE_DIR) or off
+export function getGenerationCacheConfig() {
+  const backend = (process.env.AI_CACHE || 'memory').toLowerCase();
+  if (!['memory', 'disk', 'off'].includes(backend)) {
+    throw new Error(`Unknown AI_CACHE "${backend}". Use memory, disk or off`);
+  }
+
+  return {
+    backend,
+    ttlMs: parseInt(process.env.AI_CACHE_TTL_SECONDS || '86400', 10) * 1000,
+    dir: process.env.AI_CACHE_DIR || path.join(os.tmpdir(), 'pr-copilot-cache'),
+    maxEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES || '500', 10)
+  };
 }
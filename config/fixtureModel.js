@@ -0,0 +1,108 @@
+/**
+ * Deterministic fixture chat model
+ *
+ * Lets the whole PR pipeline run without model access (CI, laptops). Responses
+ * come from an optional fixture file; anything unmatched gets a stable reply
+ * derived from a hash of the prompt, so the same input always produces the
+ * same output.
+ *
+ * Fixture file format (AI_FIXTURE_PATH):
+ * {
+ *   "responses": [
+ *     {
+ *       "match": "write the description sections of a pull request",
+ *       "response": {
+ *         "description": "Adds a fixture provider.",
+ *         "key_changes": ["Added the fixture provider"],
+ *         "motivation": "...",
+ *         "risks": [],
+ *         "test_notes": []
+ *       }
+ *     },
+ *     { "match": "/Write a title for a pull request/i", "response": "feat: add a fixture provider" }
+ *   ],
+ *   "default": "Optional reply for unmatched prompts"
+ * }
+ * `match` is a substring, or a regular expression when wrapped in slashes. A `response`
+ * that is not a string is sent as JSON, which is what the structured summary prompt expects.
+ * Unmatched structured PR summary prompts get a reply in the summary's JSON shape,
+ * so the description sections validate without a fixture file.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { BaseChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessage } from '@langchain/core/messages';
+
+const toMatcher = (match) => {
+  const regexMatch = match.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return (text) => regex.test(text);
+  }
+  return (text) => text.includes(match);
+};
+
+// The structured summary prompt (tools/github/summary.js) asks for these JSON fields
+const isSummaryPrompt = (prompt) => prompt.includes('"key_changes"') && prompt.includes('"motivation"');
+
+const summaryResponse = (digest) => JSON.stringify({
+  description: `Fixture description ${digest} (AI_PROVIDER=fixture; configure AI_FIXTURE_PATH for custom responses).`,
+  key_changes: [`Fixture change ${digest}`],
+  motivation: `Fixture motivation ${digest}.`,
+  risks: [],
+  test_notes: []
+});
+
+const messageText = (message) => (typeof message.content === 'string'
+  ? message.content
+  : message.content.map(part => part.text || '').join(''));
+
+export class FixtureChatModel extends BaseChatModel {
+  constructor({ fixturePath, ...fields } = {}) {
+    super(fields);
+    this.responses = [];
+    this.defaultResponse = null;
+
+    if (fixturePath) {
+      const fixtures = JSON.parse(readFileSync(fixturePath, 'utf8'));
+      this.responses = (fixtures.responses || []).map(({ match, response }) => ({
+        matches: toMatcher(match),
+        response: typeof response === 'string' ? response : JSON.stringify(response)
+      }));
+      this.defaultResponse = fixtures.default ?? null;
+    }
+  }
+
+  _llmType() {
+    return 'fixture';
+  }
+
+  respond(prompt) {
+    const fixture = this.responses.find(({ matches }) => matches(prompt));
+    if (fixture) return fixture.response;
+
+    const digest = createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+    if (isSummaryPrompt(prompt)) return summaryResponse(digest);
+    if (this.defaultResponse !== null) return this.defaultResponse;
+
+    return `- Fixture response ${digest} (AI_PROVIDER=fixture; configure AI_FIXTURE_PATH for custom responses)`;
+  }
+
+  async _generate(messages) {
+    const prompt = messages.map(messageText).join('\n');
+    const text = this.respond(prompt);
+    const inputTokens = Math.ceil(prompt.length / 4);
+    const outputTokens = Math.ceil(text.length / 4);
+
+    return {
+      generations: [{
+        text,
+        message: new AIMessage({
+          content: text,
+          usage_metadata: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens }
+        })
+      }]
+    };
+  }
+}
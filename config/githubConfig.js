@@ -62,13 +62,22 @@ export function validateGitHubConfig() {
     }
 }
 
-export function getGitHubHeaders() {
-    const config = getGitHubConfig();
-    
+// Function to get the GitHub HTTP client settings
+export function getGitHubClientConfig() {
+    const readNumber = (name, fallback) => {
+        const value = Number(process.env[name]);
+        return process.env[name] && !Number.isNaN(value) ? value : fallback;
+    };
+
     return {
-        'Authorization': `token ${config.token}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'Content-Type': 'application/json',
-        'User-Agent': 'PR-CoPilot-Agent/1.0'
+        // Per-request timeout; a request can pass its own `timeout`
+        timeoutMs: readNumber('GITHUB_TIMEOUT_MS', 30000),
+        maxRetries: readNumber('GITHUB_MAX_RETRIES', 3),
+        // Longest wait for a rate limit reset or Retry-After before giving up
+        maxRetryWaitMs: readNumber('GITHUB_MAX_RETRY_WAIT_MS', 60000),
+        etagCacheSize: readNumber('GITHUB_ETAG_CACHE_SIZE', 500),
+        // Memory budget for cached bodies, so large compare payloads cannot pile up
+        etagCacheMaxBytes: readNumber('GITHUB_ETAG_CACHE_MAX_MB', 25) * 1024 * 1024,
+        logRequests: process.env.GITHUB_LOG_REQUESTS !== 'false'
     };
 }
@@ -0,0 +1,48 @@
+// GitHub webhook settings
+import { readFileSync } from 'fs';
+import * as dotenv from 'dotenv';
+
+dotenv.config();
+
+const MODES = ['fill_empty', 'comment', 'off'];
+const ACTIONS = ['opened', 'synchronize', 'edited'];
+
+// Function to get the secret GitHub signs deliveries with (X-Hub-Signature-256)
+export function getWebhookSecret() {
+  return process.env.GITHUB_WEBHOOK_SECRET || null;
+}
+
+function normalizeSettings(settings = {}) {
+  return {
+    ...(settings.mode && { mode: settings.mode.toLowerCase() }),
+    ...(Array.isArray(settings.actions) && { actions: settings.actions }),
+    ...(typeof settings.skip_drafts === 'boolean' && { skipDrafts: settings.skip_drafts })
+  };
+}
+
+// Function to get the webhook settings for one repository ("owner/repo").
+// PR_WEBHOOK_SETTINGS_PATH points to JSON like
+// { "default": { "mode": "fill_empty" }, "repos": { "org/api": { "mode": "comment", "skip_drafts": true }, "org/legacy": { "mode": "off" } } }
+// mode: fill_empty (write the description when the body is empty and refresh it on new pushes),
+// comment (post the summary as a PR comment and keep it up to date) or off.
+export function getWebhookRepoSettings(fullName) {
+  let file = {};
+  if (process.env.PR_WEBHOOK_SETTINGS_PATH) {
+    file = JSON.parse(readFileSync(process.env.PR_WEBHOOK_SETTINGS_PATH, 'utf8'));
+  }
+
+  const repoKey = Object.keys(file.repos || {}).find(key => key.toLowerCase() === fullName.toLowerCase());
+  const settings = {
+    mode: (process.env.PR_WEBHOOK_MODE || 'fill_empty').toLowerCase(),
+    actions: ACTIONS,
+    skipDrafts: process.env.PR_WEBHOOK_SKIP_DRAFTS === 'true',
+    ...normalizeSettings(file.default),
+    ...normalizeSettings(repoKey ? file.repos[repoKey] : undefined)
+  };
+
+  if (!MODES.includes(settings.mode)) {
+    throw new Error(`Unknown webhook mode "${settings.mode}" for ${fullName}. Use one of: ${MODES.join(', ')}`);
+  }
+
+  return settings;
+}
@@ -7,7 +7,10 @@ import { fileURLToPath } from 'url';
 import express from 'express';
 import cors from 'cors';
 import { allTools, toolsMetadata } from "../tools/index.js";
+import { validateGitHubToken } from "../tools/github/utils.js";
 import { getGitHubConfig, validateGitHubConfig } from "../config/githubConfig.js";
+import { getWebhookSecret, getWebhookRepoSettings } from "../config/webhookConfig.js";
+import { verifyWebhookSignature, createDeliveryTracker, handlePullRequestEvent } from "../tools/github/webhook.js";
 
 // Get current directory for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -21,7 +24,13 @@ process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for webhook signature verification
+app.use(express.json({
+    limit: '5mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // API-only server - no static files needed
 
@@ -44,6 +53,13 @@ app.get('/', (req, res) => {
         endpoints: {
             health: "GET /health",
             create_pr: "POST /create-pr",
+            create_pr_stream: "POST /create-pr/stream",
+            pr_summary: "POST /pr-summary",
+            pr_summary_stream: "POST /pr-summary/stream",
+            update_pr: "POST /update-pr",
+            review_pr: "POST /review-pr",
+            release_notes: "POST /release-notes",
+            github_webhook: "POST /webhooks/github",
             test_github: "POST /test-github",
             tools: "GET /tools"
         }
@@ -55,6 +71,7 @@ app.get('/health', (req, res) => {
         status: 'healthy', 
         timestamp: new Date().toISOString(),
         username: process.env.AI_USERNAME,
+        ai_provider: process.env.AI_PROVIDER || 'openai',
         github: {
             configured: githubConfig.isConfigured,
             validation: githubValidation
@@ -107,8 +124,258 @@ app.post('/test-github', async (req, res) => {
     }
 });
 
+// Run a tool and stream it as Server-Sent Events: "stage" and "section" events while it
+// works, then one "result" (or "error") event. A client that disconnects does not cancel
+// the run, so a PR is never left half created.
+const streamToolRun = async (res, tool, args, formatResult) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        if (!res.writableEnded && !res.destroyed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        const result = await tool.invoke(args, { configurable: { onProgress: event => send(event.type, event) } });
+        send('result', formatResult(result));
+    } catch (error) {
+        console.error(`${tool.name} stream error:`, error);
+        send('error', {
+            success: false,
+            error: error instanceof Error ? error.message : String(error)
+        });
+    }
+    res.end();
+};
+
+// Validate a /create-pr body and map it to create_pull_request arguments.
+// Returns { tool, args }, or { status, error } to send back as is.
+const prepareCreatePr = (requestBody) => {
+    if (!githubConfig.isConfigured) {
+        return {
+            status: 400,
+            error: {
+                success: false,
+                error: "GitHub not configured",
+                message: "Please set GITHUB_TOKEN environment variable",
+                instructions: githubValidation.instructions
+            }
+        };
+    }
+
+    const { 
+        owner = githubConfig.owner, 
+        repo, 
+        title, 
+        head, 
+        base, 
+        body = "", 
+        draft = false,
+        request_reviewers = false,
+        max_reviewers,
+        jira_write_back = false,
+        jira_transition,
+        on_existing,
+        force_regenerate = false
+    } = requestBody;
+
+    if (!repo || !head || !base) {
+        return {
+            status: 400,
+            error: {
+                success: false,
+                error: "Missing required parameters",
+                message: "Please provide: repo, head, and base branch (title is optional)"
+            }
+        };
+    }
+
+    // Use the existing create_pull_request tool
+    const tool = allTools.find(tool => tool.name === "create_pull_request");
+    if (!tool) {
+        return {
+            status: 500,
+            error: {
+                success: false,
+                error: "Create PR tool not found"
+            }
+        };
+    }
+
+    return {
+        tool,
+        args: {
+            owner,
+            repo,
+            ...(title && { title }),
+            head,
+            base,
+            body,
+            draft,
+            request_reviewers,
+            ...(max_reviewers && { max_reviewers: Number(max_reviewers) }),
+            jira_write_back,
+            ...(jira_transition && { jira_transition }),
+            ...(on_existing && { on_existing }),
+            force_regenerate
+        }
+    };
+};
+
+const formatCreatePrResult = (result) => ({
+    success: result.success,
+    existing: result.existing,
+    pull_request: result.pull_request,
+    existing_pull_request: result.existing_pull_request,
+    sections: result.sections,
+    title_lint: result.title_lint,
+    commit_warnings: result.commit_warnings,
+    secret_scan: result.secret_scan,
+    risk: result.risk,
+    testing: result.testing,
+    generation: result.generation,
+    reviewers: result.reviewers,
+    jira_write_back: result.jira_write_back,
+    formatted_response: result.formatted_response,
+    message: result.message,
+    error: result.error
+});
+
 // Create PR endpoint - triggers create_pull_request tool
 app.post('/create-pr', async (req, res) => {
+    try {
+        const { tool, args, status, error } = prepareCreatePr(req.body);
+        if (error) return res.status(status).json(error);
+
+        const result = await tool.invoke(args);
+        res.json(formatCreatePrResult(result));
+
+    } catch (error) {
+        console.error('Create PR error:', error);
+        res.status(500).json({
+            success: false,
+            error: error instanceof Error ? error.message : String(error),
+            status: "❌ PR creation failed"
+        });
+    }
+});
+
+// Create PR with progress - same body as /create-pr, answered as Server-Sent Events
+app.post('/create-pr/stream', async (req, res) => {
+    const { tool, args, status, error } = prepareCreatePr(req.body);
+    if (error) return res.status(status).json(error);
+
+    await streamToolRun(res, tool, args, formatCreatePrResult);
+});
+
+// Validate a /pr-summary body and map it to generate_pr_summary arguments (GitHub
+// comparisons only; local mode stays with MCP so callers cannot read the server's disk).
+// Returns { tool, args }, or { status, error } to send back as is.
+const preparePrSummary = (requestBody) => {
+    const {
+        owner = githubConfig.owner,
+        repo,
+        head,
+        base,
+        title,
+        body = "",
+        suggest_split = false,
+        force_regenerate = false
+    } = requestBody;
+
+    if (!githubConfig.isConfigured) {
+        return {
+            status: 400,
+            error: {
+                success: false,
+                error: "GitHub not configured",
+                message: "Please set GITHUB_TOKEN environment variable",
+                instructions: githubValidation.instructions
+            }
+        };
+    }
+
+    if (!repo || !head || !base) {
+        return {
+            status: 400,
+            error: {
+                success: false,
+                error: "Missing required parameters",
+                message: "Please provide: repo, head, and base branch (title is optional)"
+            }
+        };
+    }
+
+    const tool = allTools.find(tool => tool.name === "generate_pr_summary");
+    if (!tool) {
+        return {
+            status: 500,
+            error: {
+                success: false,
+                error: "PR summary tool not found"
+            }
+        };
+    }
+
+    return {
+        tool,
+        args: {
+            owner,
+            repo,
+            head,
+            base,
+            ...(title && { title }),
+            body,
+            suggest_split,
+            force_regenerate
+        }
+    };
+};
+
+const formatPrSummaryResult = (result) => ({
+    success: result.success,
+    summary: result.summary,
+    formatted_response: result.formatted_response,
+    message: result.message,
+    error: result.error
+});
+
+// PR summary endpoint - triggers generate_pr_summary tool (nothing is posted to GitHub)
+app.post('/pr-summary', async (req, res) => {
+    try {
+        const { tool, args, status, error } = preparePrSummary(req.body);
+        if (error) return res.status(status).json(error);
+
+        const result = await tool.invoke(args);
+        res.json(formatPrSummaryResult(result));
+
+    } catch (error) {
+        console.error('PR summary error:', error);
+        res.status(500).json({
+            success: false,
+            error: error instanceof Error ? error.message : String(error),
+            status: "❌ PR summary failed"
+        });
+    }
+});
+
+// PR summary with progress - same body as /pr-summary, answered as Server-Sent Events
+app.post('/pr-summary/stream', async (req, res) => {
+    const { tool, args, status, error } = preparePrSummary(req.body);
+    if (error) return res.status(status).json(error);
+
+    await streamToolRun(res, tool, args, formatPrSummaryResult);
+});
+
+// Update PR endpoint - triggers update_pull_request tool
+app.post('/update-pr', async (req, res) => {
     try {
         if (!githubConfig.isConfigured) {
             return res.status(400).json({
@@ -119,59 +386,270 @@ app.post('/create-pr', async (req, res) => {
             });
         }
 
-        const { 
-            owner = githubConfig.owner, 
-            repo, 
-            title, 
-            head, 
-            base, 
-            body = "", 
-            draft = false 
+        const {
+            owner = githubConfig.owner,
+            repo,
+            pull_number,
+            body = "",
+            preview = false,
+            overwrite_unmarked = false,
+            force_regenerate = false
         } = req.body;
 
-        if (!repo || !title || !head || !base) {
+        if (!repo || !pull_number) {
             return res.status(400).json({
                 success: false,
                 error: "Missing required parameters",
-                message: "Please provide: repo, title, head, and base branch"
+                message: "Please provide: repo and pull_number"
             });
         }
 
-        // Use the existing create_pull_request tool
-        const createPRTool = allTools.find(tool => tool.name === "create_pull_request");
-        if (!createPRTool) {
+        const updatePRTool = allTools.find(tool => tool.name === "update_pull_request");
+        if (!updatePRTool) {
             return res.status(500).json({
                 success: false,
-                error: "Create PR tool not found"
+                error: "Update PR tool not found"
             });
         }
 
-        const result = await createPRTool.invoke({
+        const result = await updatePRTool.invoke({
             owner,
             repo,
-            title,
-            head,
-            base,
+            pull_number: Number(pull_number),
             body,
-            draft
+            preview,
+            overwrite_unmarked,
+            force_regenerate
         });
 
         res.json({
             success: result.success,
             pull_request: result.pull_request,
+            sections: result.sections,
+            risk: result.risk,
+            testing: result.testing,
+            generation: result.generation,
+            diff: result.diff,
             formatted_response: result.formatted_response,
             message: result.message,
             error: result.error
         });
 
     } catch (error) {
-        console.error('Create PR error:', error);
+        console.error('Update PR error:', error);
         res.status(500).json({
             success: false,
             error: error instanceof Error ? error.message : String(error),
-            status: "❌ PR creation failed"
+            status: "❌ PR update failed"
+        });
+    }
+});
+
+// Review PR endpoint
+app.post('/review-pr', async (req, res) => {
+    try {
+        if (!githubConfig.isConfigured) {
+            return res.status(400).json({
+                success: false,
+                error: "GitHub not configured",
+                message: "Please set GITHUB_TOKEN environment variable",
+                instructions: githubValidation.instructions
+            });
+        }
+
+        const {
+            owner = githubConfig.owner,
+            repo,
+            pull_number,
+            min_severity,
+            max_comments,
+            dry_run = false
+        } = req.body;
+
+        if (!repo || !pull_number) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required parameters",
+                message: "Please provide: repo and pull_number"
+            });
+        }
+
+        const reviewPRTool = allTools.find(tool => tool.name === "review_pull_request");
+        if (!reviewPRTool) {
+            return res.status(500).json({
+                success: false,
+                error: "Review PR tool not found"
+            });
+        }
+
+        const result = await reviewPRTool.invoke({
+            owner,
+            repo,
+            pull_number: Number(pull_number),
+            ...(min_severity && { min_severity }),
+            ...(max_comments && { max_comments: Number(max_comments) }),
+            dry_run
+        });
+
+        res.json({
+            success: result.success,
+            pull_request: result.pull_request,
+            review: result.review,
+            dry_run: result.dry_run,
+            comments: result.comments,
+            unmapped_findings: result.unmapped_findings,
+            filtered: result.filtered,
+            formatted_response: result.formatted_response,
+            message: result.message,
+            error: result.error
+        });
+
+    } catch (error) {
+        console.error('Review PR error:', error);
+        res.status(500).json({
+            success: false,
+            error: error instanceof Error ? error.message : String(error),
+            status: "❌ PR review failed"
+        });
+    }
+});
+
+// Release notes endpoint
+app.post('/release-notes', async (req, res) => {
+    try {
+        if (!githubConfig.isConfigured) {
+            return res.status(400).json({
+                success: false,
+                error: "GitHub not configured",
+                message: "Please set GITHUB_TOKEN environment variable",
+                instructions: githubValidation.instructions
+            });
+        }
+
+        const {
+            owner = githubConfig.owner,
+            repo,
+            from,
+            to,
+            version,
+            group_by,
+            include_direct_commits = true,
+            create_release = false
+        } = req.body;
+
+        if (!repo || !from) {
+            return res.status(400).json({
+                success: false,
+                error: "Missing required parameters",
+                message: "Please provide: repo and from (plus to, unless from is a range like v1.4.0...v1.5.0)"
+            });
+        }
+
+        const releaseNotesTool = allTools.find(tool => tool.name === "generate_release_notes");
+        if (!releaseNotesTool) {
+            return res.status(500).json({
+                success: false,
+                error: "Release notes tool not found"
+            });
+        }
+
+        const result = await releaseNotesTool.invoke({
+            owner,
+            repo,
+            from,
+            ...(to && { to }),
+            ...(version && { version }),
+            ...(group_by && { group_by }),
+            include_direct_commits,
+            create_release
+        });
+
+        res.json({
+            success: result.success,
+            range: result.range,
+            version: result.version,
+            entries: result.entries,
+            breaking_changes: result.breaking_changes,
+            release_notes: result.release_notes,
+            release: result.release,
+            formatted_response: result.formatted_response,
+            message: result.message,
+            error: result.error
+        });
+
+    } catch (error) {
+        console.error('Release notes error:', error);
+        res.status(500).json({
+            success: false,
+            error: error instanceof Error ? error.message : String(error),
+            status: "❌ Release notes generation failed"
+        });
+    }
+});
+
+// GitHub webhook endpoint (pull_request events)
+const webhookDeliveries = createDeliveryTracker();
+
+app.post('/webhooks/github', async (req, res) => {
+    const secret = getWebhookSecret();
+    if (!secret) {
+        return res.status(503).json({
+            success: false,
+            error: "Webhook secret not configured",
+            message: "Please set GITHUB_WEBHOOK_SECRET environment variable"
+        });
+    }
+
+    if (!verifyWebhookSignature(req.rawBody, req.get('X-Hub-Signature-256'), secret)) {
+        return res.status(401).json({
+            success: false,
+            error: "Invalid webhook signature"
         });
     }
+
+    const event = req.get('X-GitHub-Event');
+    const deliveryId = req.get('X-GitHub-Delivery');
+
+    if (event === 'ping') {
+        return res.json({ success: true, status: "pong" });
+    }
+
+    if (event !== 'pull_request') {
+        return res.status(202).json({ success: true, status: "ignored", message: `Event "${event}" is not handled` });
+    }
+
+    if (deliveryId && !webhookDeliveries.claim(deliveryId)) {
+        return res.json({ success: true, status: "duplicate", message: `Delivery ${deliveryId} was already processed` });
+    }
+
+    const tokenValidation = validateGitHubToken();
+    if (!tokenValidation.success) {
+        webhookDeliveries.release(deliveryId);
+        return res.status(500).json(tokenValidation);
+    }
+
+    const payload = req.body;
+    const target = `${payload.repository?.full_name}#${payload.pull_request?.number}`;
+
+    let settings;
+    try {
+        settings = getWebhookRepoSettings(payload.repository.full_name);
+    } catch (error) {
+        webhookDeliveries.release(deliveryId);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+
+    // GitHub gives up on a delivery after 10 seconds, so answer first and analyze afterwards
+    res.status(202).json({ success: true, status: "accepted", delivery: deliveryId });
+
+    try {
+        const result = await handlePullRequestEvent(payload, settings, tokenValidation.token);
+        console.log(`Webhook ${deliveryId} (${payload.action} ${target}): ${result.status}${result.reason ? ` - ${result.reason}` : ''}`);
+    } catch (error) {
+        // Let a redelivery try again
+        webhookDeliveries.release(deliveryId);
+        console.error(`Webhook ${deliveryId} (${payload.action} ${target}) failed:`, error.response?.data?.message || error.message);
+    }
 });
 
 // Get available tools endpoint
@@ -198,6 +676,13 @@ app.listen(PORT, () => {
     console.log(`   GET  http://localhost:${PORT}/ - API info`);
     console.log(`   GET  http://localhost:${PORT}/health - Health check`);
     console.log(`   POST http://localhost:${PORT}/create-pr - Create GitHub PR`);
+    console.log(`   POST http://localhost:${PORT}/create-pr/stream - Create GitHub PR with progress (SSE)`);
+    console.log(`   POST http://localhost:${PORT}/pr-summary - Generate a PR summary without creating the PR`);
+    console.log(`   POST http://localhost:${PORT}/pr-summary/stream - Generate a PR summary with progress (SSE)`);
+    console.log(`   POST http://localhost:${PORT}/update-pr - Regenerate an existing PR description`);
+    console.log(`   POST http://localhost:${PORT}/review-pr - Review a PR with inline AI comments`);
+    console.log(`   POST http://localhost:${PORT}/release-notes - Generate release notes between two refs`);
+    console.log(`   POST http://localhost:${PORT}/webhooks/github - GitHub pull_request webhook`);
     console.log(`   POST http://localhost:${PORT}/test-github - Test GitHub connection`);
     console.log(`   GET  http://localhost:${PORT}/tools - Available tools`);
     console.log(`👤 Username: ${process.env.AI_USERNAME}`);
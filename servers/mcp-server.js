@@ -11,7 +11,7 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { create_pull_request, get_repository_info, generate_pr_summary } from '../tools/github/index.js';
+import { create_pull_request, get_repository_info, generate_pr_summary, update_pull_request, review_pull_request, generate_release_notes } from '../tools/github/index.js';
 import { get_jira_ticket_details } from '../tools/jira/index.js';
 import { execSync } from 'child_process';
 
@@ -28,14 +28,20 @@ const TOOLS = {
       properties: {
         owner: { type: 'string', description: 'Repository owner (required)' },
         repo: { type: 'string', description: 'Repository name (required)' },
-        title: { type: 'string', description: 'PR title (required)' },
+        title: { type: 'string', description: 'PR title (optional; generated from commits, tickets and diff when omitted, and checked against the PR_TITLE_* rules)' },
         head: { type: 'string', description: 'Source branch (required)' },
         base: { type: 'string', description: 'Target branch (required)' },
         body: { type: 'string', description: 'Custom description (optional)' },
         draft: { type: 'boolean', description: 'Draft PR (optional, default: false)' },
         include_diff_analysis: { type: 'boolean', description: 'Include code analysis (optional, default: true)' },
+        request_reviewers: { type: 'boolean', description: 'Request reviewers suggested from CODEOWNERS and recent file history (optional, default: false)' },
+        max_reviewers: { type: 'number', description: 'Maximum number of individual reviewers to request (optional, default: 2)' },
+        jira_write_back: { type: 'boolean', description: 'Comment on and link every JIRA ticket found in the branch, title and commits after creating the PR (optional, default: false)' },
+        jira_transition: { type: 'string', description: "JIRA transition to run on those tickets, e.g. 'In Review' (optional)" },
+        on_existing: { type: 'string', enum: ['fail', 'return', 'update'], description: "When an open PR for the same head and base exists: 'fail' (default), 'return' it or 'update' its description (optional)" },
+        force_regenerate: { type: 'boolean', description: 'Call the LLM again instead of reusing cached text for the same diff and context (optional, default: false)' },
       },
-      required: ['repo', 'title', 'head', 'base'],
+      required: ['repo', 'head', 'base'],
     },
     handler: create_pull_request
   },
@@ -66,7 +72,7 @@ const TOOLS = {
   },
   generate_pr_summary: {
     name: 'generate_pr_summary',
-    description: 'Generate a detailed PR summary for a branch comparison without creating the actual PR. Analyzes code changes, generates enhanced descriptions, and provides comprehensive analysis including JIRA ticket context, file changes, and impact assessment.',
+    description: 'Generate a detailed PR summary for a branch comparison without creating the actual PR. Analyzes code changes, generates enhanced descriptions, and provides comprehensive analysis including JIRA ticket context, file changes, and impact assessment. Set local to true to analyze unpushed branches, staged or uncommitted changes from the local git repository. repo, head and base are required unless local is true.',
     schema: {
       type: 'object',
       properties: {
@@ -74,12 +80,71 @@ const TOOLS = {
         repo: { type: 'string', description: 'Repository name (required)' },
         head: { type: 'string', description: 'Source branch (required)' },
         base: { type: 'string', description: 'Target branch (required)' },
-        title: { type: 'string', description: 'Optional title for the PR (used for context in analysis)' },
+        title: { type: 'string', description: 'Optional PR title to lint; a title is suggested from commits, tickets and diff when omitted' },
         body: { type: 'string', description: 'Additional custom description for context in the analysis' },
+        local: { type: 'boolean', description: 'Analyze the local git repository instead of GitHub; works on unpushed branches without a GitHub token (optional, default: false)' },
+        local_mode: { type: 'string', enum: ['range', 'staged', 'uncommitted'], description: "Local mode only: 'range' (base...head commits), 'staged' or 'uncommitted' (optional, default: 'range')" },
+        repo_path: { type: 'string', description: 'Local mode only: path to the repository (optional, default: current directory)' },
+        suggest_split: { type: 'boolean', description: 'Propose an ordered stack of smaller PRs even below the size thresholds (optional, default: only for oversized changes)' },
+        force_regenerate: { type: 'boolean', description: 'Call the LLM again instead of reusing cached text for the same diff and context (optional, default: false)' },
       },
-      required: ['repo', 'head', 'base'],
+      required: [],
     },
     handler: generate_pr_summary
+  },
+  update_pull_request: {
+    name: 'update_pull_request',
+    description: 'Regenerate the description of an existing pull request from its current head. Rewrites only AI-owned sections nobody has edited and keeps human edits. Use preview to get a diff of the old and new description without updating the PR.',
+    schema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Repository owner (required)' },
+        repo: { type: 'string', description: 'Repository name (required)' },
+        pull_number: { type: 'number', description: 'Pull request number (required)' },
+        body: { type: 'string', description: 'Additional custom description for context in the analysis' },
+        preview: { type: 'boolean', description: 'Only return a diff of the old and new description (optional, default: false)' },
+        overwrite_unmarked: { type: 'boolean', description: 'Replace descriptions that have no AI section markers (optional, default: false)' },
+        force_regenerate: { type: 'boolean', description: 'Call the LLM again instead of reusing cached text for the same diff and context (optional, default: false)' },
+      },
+      required: ['repo', 'pull_number'],
+    },
+    handler: update_pull_request
+  },
+  review_pull_request: {
+    name: 'review_pull_request',
+    description: 'Review the code changes of a pull request with the LLM and submit the findings (bugs, missing error handling, risky patterns) as inline comments in one GitHub review. Use dry_run to only return the comments.',
+    schema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Repository owner (required)' },
+        repo: { type: 'string', description: 'Repository name (required)' },
+        pull_number: { type: 'number', description: 'Pull request number (required)' },
+        min_severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'], description: "Lowest severity to post (optional, default: PR_REVIEW_MIN_SEVERITY or 'medium')" },
+        max_comments: { type: 'number', description: 'Maximum number of inline comments, most severe first (optional, default: PR_REVIEW_MAX_COMMENTS or 15)' },
+        dry_run: { type: 'boolean', description: 'Only return the review comments without submitting the review (optional, default: false)' },
+      },
+      required: ['repo', 'pull_number'],
+    },
+    handler: review_pull_request
+  },
+  generate_release_notes: {
+    name: 'generate_release_notes',
+    description: 'Generate release notes / a CHANGELOG.md entry for the pull requests merged between two tags or refs (e.g. v1.4.0...v1.5.0), with linked tickets, grouped by Conventional Commit type, label or ticket type and with breaking changes flagged. Can create a draft GitHub release.',
+    schema: {
+      type: 'object',
+      properties: {
+        owner: { type: 'string', description: 'Repository owner (required)' },
+        repo: { type: 'string', description: 'Repository name (required)' },
+        from: { type: 'string', description: "Previous release tag or ref, or a range like 'v1.4.0...v1.5.0' (required)" },
+        to: { type: 'string', description: "New release tag or ref (required unless 'from' is a range)" },
+        version: { type: 'string', description: "Version for the heading and the release tag (optional, default: 'to')" },
+        group_by: { type: 'string', enum: ['type', 'label', 'ticket_type'], description: "Group entries by Conventional Commit type, first label or linked ticket type (optional, default: PR_RELEASE_GROUP_BY or 'type')" },
+        include_direct_commits: { type: 'boolean', description: 'Also list commits pushed without a pull request (optional, default: true)' },
+        create_release: { type: 'boolean', description: 'Create a draft GitHub release with the notes (optional, default: false)' },
+      },
+      required: ['repo', 'from'],
+    },
+    handler: generate_release_notes
   }
 };
 
@@ -108,6 +173,15 @@ function createResponse(data, isError = false) {
   };
 }
 
+// Forward tool progress events as MCP progress notifications when the client asked for them
+function createProgressForwarder(progressToken) {
+  if (progressToken === undefined) return undefined;
+  return (event) => server.notification({
+    method: 'notifications/progress',
+    params: { progressToken, progress: event.progress, message: event.message, stage: event.stage, section: event.section }
+  });
+}
+
 // List available tools
 server.setRequestHandler(ListToolsRequestSchema, async () => ({
   tools: Object.values(TOOLS).map(tool => ({
@@ -136,7 +210,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 
     // Execute tool
-    const result = await tool.handler.invoke(args);
+    const onProgress = createProgressForwarder(request.params._meta?.progressToken);
+    const result = await tool.handler.invoke(args, { configurable: { onProgress } });
     return createResponse(result);
 
   } catch (error) {
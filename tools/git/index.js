@@ -0,0 +1,5 @@
+/**
+ * Local git integration
+ */
+
+export { getLocalComparison, getCurrentBranch, getRepositoryRoot } from './localDiff.js';
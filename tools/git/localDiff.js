@@ -0,0 +1,250 @@
+/**
+ * Local git comparison
+ *
+ * Builds the same files/stats/commits structure as the GitHub compare API
+ * from the local repository, so descriptions can be generated for unpushed
+ * branches and working-tree changes without a GitHub token.
+ */
+
+import { execFileSync } from 'child_process';
+import { readFileSync, statSync } from 'fs';
+import { join } from 'path';
+
+// Untracked files larger than this are treated like binaries
+const MAX_UNTRACKED_FILE_BYTES = 512 * 1024;
+
+const runGit = (args, cwd) => execFileSync('git', args, {
+  cwd,
+  encoding: 'utf8',
+  maxBuffer: 64 * 1024 * 1024,
+  stdio: ['ignore', 'pipe', 'pipe']
+});
+
+/**
+ * Check that a user-supplied ref names a commit. A ref starting with "-" would be
+ * read as a git option (e.g. --output=<file>), so it is rejected before git sees it.
+ */
+const assertCommitRef = (ref, cwd) => {
+  if (!ref || ref.startsWith('-')) {
+    throw new Error(`Invalid git ref "${ref}"`);
+  }
+  try {
+    runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+  } catch {
+    throw new Error(`Unknown git ref "${ref}"`);
+  }
+};
+
+/**
+ * Get the root of the repository containing `cwd`
+ */
+export const getRepositoryRoot = (cwd = process.cwd()) => runGit(['rev-parse', '--show-toplevel'], cwd).trim();
+
+/**
+ * Get the currently checked-out branch
+ */
+export const getCurrentBranch = (cwd = process.cwd()) => {
+  try {
+    return runGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd).trim();
+  } catch {
+    // No commits yet: HEAD points at a branch that does not exist
+    return runGit(['symbolic-ref', '--short', 'HEAD'], cwd).trim();
+  }
+};
+
+/**
+ * The commit to diff the working tree against, or the empty tree in a repository without commits
+ */
+const getWorkingTreeBase = (cwd) => {
+  try {
+    return runGit(['rev-parse', '--verify', '--quiet', 'HEAD^{commit}'], cwd).trim();
+  } catch {
+    return runGit(['hash-object', '-t', 'tree', '/dev/null'], cwd).trim();
+  }
+};
+
+const C_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+/**
+ * Undo git's C-style quoting of unusual paths ("dir/caf\303\251.js" → dir/café.js)
+ */
+const unquotePath = (path) => {
+  if (!path.startsWith('"')) return path;
+  const inner = path.slice(1, -1);
+  const bytes = [];
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] !== '\\') {
+      bytes.push(...Buffer.from(inner[i]));
+    } else if (/[0-7]/.test(inner[i + 1])) {
+      bytes.push(parseInt(inner.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(C_ESCAPES[inner[i + 1]] ?? inner.charCodeAt(i + 1));
+      i++;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+};
+
+/**
+ * Path from a diff header value without its a/ or b/ prefix (null for /dev/null).
+ * git ends "--- a/..." and "+++ b/..." lines with a TAB when the path contains a space.
+ */
+const parseHeaderPath = (value, prefix) => {
+  const path = unquotePath(value.replace(/\t$/, ''));
+  return path.startsWith(prefix) ? path.slice(prefix.length) : null;
+};
+
+/**
+ * Parse `git diff` output into GitHub compare-style file entries
+ */
+export const parseGitDiff = (output) => {
+  const files = [];
+  const blocks = output.split(/^(?=diff --git )/m).filter(block => block.startsWith('diff --git '));
+
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const header = lines[0].match(/^diff --git ("(?:[^"\\]|\\.)*"|a\/.+?) ("(?:[^"\\]|\\.)*"|b\/.+)$/);
+    let previousFilename = header ? parseHeaderPath(header[1], 'a/') : null;
+    let filename = header ? parseHeaderPath(header[2], 'b/') : null;
+    let status = 'modified';
+    let binary = false;
+
+    const hunkStart = lines.findIndex(line => line.startsWith('@@'));
+    const headerLines = hunkStart === -1 ? lines : lines.slice(0, hunkStart);
+
+    headerLines.forEach(line => {
+      if (line.startsWith('new file mode')) status = 'added';
+      else if (line.startsWith('deleted file mode')) status = 'removed';
+      else if (line.startsWith('rename from ')) previousFilename = unquotePath(line.slice('rename from '.length));
+      else if (line.startsWith('rename to ')) {
+        filename = unquotePath(line.slice('rename to '.length));
+        status = 'renamed';
+      } else if (line.startsWith('+++ ')) filename = parseHeaderPath(line.slice('+++ '.length), 'b/') ?? filename;
+      else if (line.startsWith('--- ') && status !== 'renamed') previousFilename = parseHeaderPath(line.slice('--- '.length), 'a/') ?? previousFilename;
+      else if (line.startsWith('Binary files ') || line === 'GIT binary patch') binary = true;
+    });
+
+    const hunkLines = hunkStart === -1 ? [] : lines.slice(hunkStart);
+    while (hunkLines.length > 0 && hunkLines[hunkLines.length - 1] === '') hunkLines.pop();
+
+    let additions = 0;
+    let deletions = 0;
+    hunkLines.forEach(line => {
+      if (line.startsWith('+')) additions++;
+      else if (line.startsWith('-')) deletions++;
+    });
+
+    const entry = {
+      filename,
+      status,
+      additions,
+      deletions,
+      changes: additions + deletions
+    };
+    if (status === 'renamed') entry.previous_filename = previousFilename;
+    if (!binary && hunkLines.length > 0) entry.patch = hunkLines.join('\n');
+
+    files.push(entry);
+  });
+
+  return files;
+};
+
+/**
+ * Build an "added" entry for an untracked file
+ */
+const buildUntrackedEntry = (root, filename) => {
+  const fullPath = join(root, filename);
+  const entry = { filename, status: 'added', additions: 0, deletions: 0, changes: 0 };
+
+  // Symlinks are followed: one to a directory (or a broken one) has no content to read
+  let stats;
+  try {
+    stats = statSync(fullPath);
+  } catch {
+    return entry;
+  }
+  if (!stats.isFile() || stats.size > MAX_UNTRACKED_FILE_BYTES) return entry;
+
+  const content = readFileSync(fullPath);
+  if (content.includes(0)) return entry; // binary
+
+  const lines = content.toString('utf8').replace(/\n$/, '').split('\n');
+  entry.additions = lines.length;
+  entry.changes = lines.length;
+  entry.patch = `@@ -0,0 +1,${lines.length} @@\n${lines.map(line => `+${line}`).join('\n')}`;
+  return entry;
+};
+
+/**
+ * Read commits in `base..head` in the shape of GitHub compare commits
+ */
+const getCommits = (base, head, cwd) => {
+  const output = runGit(['log', '--reverse', '--format=%H%x1f%an%x1f%ae%x1f%aI%x1f%B%x1e', `${base}..${head}`], cwd);
+  return output.split('\x1e')
+    .map(record => record.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map(record => {
+      const [sha, name, email, date, message] = record.split('\x1f');
+      return {
+        sha,
+        commit: { message: (message || '').trim(), author: { name, email, date } },
+        author: null
+      };
+    });
+};
+
+/**
+ * Build a comparison from the local repository.
+ *
+ * Modes:
+ * - `range`: committed changes in `base...head` (head defaults to the current branch)
+ * - `staged`: changes staged in the index
+ * - `uncommitted`: staged, unstaged and untracked changes in the working tree
+ */
+export const getLocalComparison = ({ base, head, mode = 'range', cwd = process.cwd() }) => {
+  const root = getRepositoryRoot(cwd);
+  const currentBranch = getCurrentBranch(root);
+  // Pin the a/ and b/ prefixes the parser expects, whatever diff.noprefix or diff.mnemonicPrefix say
+  const diffOptions = ['diff', '--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/', '-M'];
+
+  let files;
+  let commits = [];
+  const resolvedHead = head || currentBranch;
+
+  if (mode === 'range') {
+    if (!base) {
+      throw new Error('A base branch is required to compare committed changes');
+    }
+    assertCommitRef(base, root);
+    assertCommitRef(resolvedHead, root);
+    files = parseGitDiff(runGit([...diffOptions, `${base}...${resolvedHead}`], root));
+    commits = getCommits(base, resolvedHead, root);
+  } else if (mode === 'staged') {
+    files = parseGitDiff(runGit([...diffOptions, '--cached'], root));
+  } else if (mode === 'uncommitted') {
+    files = parseGitDiff(runGit([...diffOptions, getWorkingTreeBase(root)], root));
+    const untracked = runGit(['ls-files', '-z', '--others', '--exclude-standard'], root)
+      .split('\0')
+      .filter(Boolean);
+    files.push(...untracked.map(filename => buildUntrackedEntry(root, filename)));
+  } else {
+    throw new Error(`Unknown local diff mode: ${mode}`);
+  }
+
+  const additions = files.reduce((sum, file) => sum + file.additions, 0);
+  const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+
+  return {
+    local: true,
+    mode,
+    root,
+    base: base || 'HEAD',
+    head: resolvedHead,
+    files,
+    stats: { additions, deletions, total: additions + deletions },
+    commits,
+    total_commits: commits.length
+  };
+};
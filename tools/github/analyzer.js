@@ -2,23 +2,110 @@
  * Code diff analysis utilities
  */
 
-import { generateDetailedSummary } from './summary.js';
-import { extractJiraTickets, getJiraUrl } from './utils.js';
+import { generateDetailedSummary, generateTestScenarios, fillTemplateSections, createGenerationStats } from './summary.js';
+import { extractTicketReferences, mergeTicketReferences, fetchTicketContext, formatTicketLink, getTicketSectionTitle } from '../trackers/index.js';
+import { describeDiffCoverage } from './diff.js';
+import { fetchPullRequestTemplate, loadLocalPullRequestTemplate, parseTemplateSections, renderFilledTemplate } from './template.js';
+import { wrapAiSection } from './sections.js';
+import { parseCommits, buildCommitsSection } from './commits.js';
+import { assessRisk, buildRiskSection } from './risk.js';
+import { analyzeTestCoverage, buildTestingSection } from './testCoverage.js';
+import { getCommitConfig, getTestConfig } from '../../config/prConfig.js';
+import { createProgressReporter } from './progress.js';
+
+const AI_FOOTER = `> 🤖 **Created by AI Agent** - This PR was automatically generated with enhanced analysis and formatting.`;
+
+// GitHub lists at most 300 files per comparison; PR file listings go up to 3000
+const COMPARE_FILE_LIMIT = 300;
+const COMPARE_MAX_PAGES = 10;
+const PR_FILES_MAX_PAGES = 30;
 
 /**
- * Analyze code diff and generate enhanced PR description
+ * Fetch the comparison (files, stats and commits) between two branches.
+ * Commit pages are followed through the Link header and the files of every
+ * page are collected. When the file list hits GitHub's cap and `pullNumber`
+ * is known, the files come from the pull request's file listing instead.
+ * `truncation` reports what could still not be fetched:
+ * { commits: { returned, total } | null, files: { returned } | null }
  */
-export const analyzeCodeDiff = async (owner, repo, head, base, token, body = "") => {
+export const fetchComparison = async (owner, repo, base, head, token, { pullNumber } = {}) => {
+  const { getGitHubHeaders, GITHUB_API_BASE, fetchAllPages } = await import('./utils.js');
+  const headers = getGitHubHeaders(token);
+  const compareUrl = `${GITHUB_API_BASE}/repos/${owner}/${repo}/compare/${base}...${head}`;
+  const { pages } = await fetchAllPages(compareUrl, { headers, params: { per_page: 100 }, maxPages: COMPARE_MAX_PAGES });
+
+  const commits = pages.flatMap(page => page.commits || []);
+  const files = new Map();
+  for (const file of pages.flatMap(page => page.files || [])) {
+    if (!files.has(file.filename)) files.set(file.filename, file);
+  }
+
+  let filesCapped = files.size >= COMPARE_FILE_LIMIT;
+  if (filesCapped && pullNumber) {
+    try {
+      const listing = await fetchAllPages(`${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pullNumber}/files`, { headers, params: { per_page: 100 }, maxPages: PR_FILES_MAX_PAGES });
+      files.clear();
+      for (const file of listing.pages.flat()) files.set(file.filename, file);
+      filesCapped = listing.truncated;
+    } catch (error) {
+      console.warn(`Failed to list the files of pull request #${pullNumber}:`, error.message);
+    }
+  }
+
+  const totalCommits = pages[0].total_commits ?? commits.length;
+  return {
+    ...pages[0],
+    commits,
+    files: [...files.values()],
+    truncation: {
+      commits: commits.length < totalCommits ? { returned: commits.length, total: totalCommits } : null,
+      files: filesCapped ? { returned: files.size } : null
+    }
+  };
+};
+
+/**
+ * Notes for data GitHub would not return in full
+ */
+const describeComparisonTruncation = (truncation) => {
+  if (!truncation) return '';
+
+  const notes = [];
+  if (truncation.commits) {
+    notes.push(`Only the first ${truncation.commits.returned} of ${truncation.commits.total} commits were read`);
+  }
+  if (truncation.files) {
+    notes.push(`GitHub returned only the first ${truncation.files.returned} changed files; the rest are missing from this analysis and the counts above`);
+  }
+  return notes.map(note => `- ${note}`).join('\n');
+};
+
+/**
+ * Analyze a branch comparison and generate the enhanced PR description.
+ * Returns { description, summary, risk, testing, generation } so tools can report the structured analysis
+ * and the summary generation's token usage and latency. `summary` is the generated description text
+ * in either layout (default or repository template); `summary`, `risk`, `testing` and `generation`
+ * are null when the analysis failed and the fallback description is used.
+ * Pass `options.comparison` to reuse comparison data the caller already fetched
+ * (for example a local git comparison, in which case no GitHub calls are made),
+ * and `options.ticketCache` (from createTicketCache) to share fetched tickets.
+ * `options.pullNumber` lets an existing PR's file listing fill in files the comparison caps.
+ * `options.forceRegenerate` skips cached LLM generations.
+ * `options.progress` (from progress.js) receives the stages and each section's text.
+ */
+export const analyzePullRequest = async (owner, repo, head, base, token, body = "", options = {}) => {
   try {
     const { getGitHubHeaders } = await import('./utils.js');
     const headers = getGitHubHeaders(token);
     
+    const cacheOptions = { forceRegenerate: Boolean(options.forceRegenerate) };
+    const progress = options.progress || createProgressReporter();
+    // Token usage and latency of every LLM call for this description
+    const generation = createGenerationStats();
+
     // Get comparison between branches
-    const { GITHUB_API_BASE } = await import('./utils.js');
-    const compareUrl = `${GITHUB_API_BASE}/repos/${owner}/${repo}/compare/${base}...${head}`;
-    const { default: axios } = await import('axios');
-    const compareResponse = await axios.get(compareUrl, { headers });
-    const compareData = compareResponse.data;
+    if (!options.comparison) progress.stage('fetching_diff');
+    const compareData = options.comparison || await fetchComparison(owner, repo, base, head, token, { pullNumber: options.pullNumber });
     
     
     // Analyze files changed
@@ -38,42 +125,52 @@ export const analyzeCodeDiff = async (owner, repo, head, base, token, body = "")
       fileTypes[ext] = (fileTypes[ext] || 0) + 1;
     });
     
-    // Generate enhanced description
-    const branchJiraTickets = extractJiraTickets(head);
+    // Commit messages usually explain the intent best
+    const trackerContext = { owner, repo };
+    const commits = parseCommits(compareData.commits || [], trackerContext);
+
+    // Detect ticket references in the branch name, custom description and commit messages
+    const commitMessages = (compareData.commits || []).map(commit => commit.commit?.message || '');
+    const ticketRefs = extractTicketReferences([head, body, ...commitMessages].join('\n'), trackerContext);
+
+    // Fetch every referenced ticket plus parents, epics, subtasks and links once;
+    // the details feed both the LLM context and the Figma links
+    progress.stage('fetching_tickets');
+    const ticketDetails = await fetchTicketContext(ticketRefs, options.ticketCache ? { cache: options.ticketCache } : {});
     
     // Generate detailed summary and motivation using LLM
-    const { detailedSummary, keyChanges, motivationContext } = await generateDetailedSummary(filesChanged, stats, head, base, branchJiraTickets, body);
+    progress.stage('generating_sections');
+    const { detailedSummary, keyChanges, motivationContext, risks, testNotes, diffCoverage } = await generateDetailedSummary(filesChanged, stats, head, base, { refs: ticketRefs, details: ticketDetails }, body, commits, cacheOptions, generation);
+    progress.section('description', detailedSummary);
+    progress.section('key-changes', keyChanges);
+    progress.section('motivation', motivationContext);
     
-    // Extract JIRA tickets from description and branch name
-    const jiraTicketsFromDescription = extractJiraTickets(detailedSummary);
-    const jiraTicketsFromBranch = extractJiraTickets(head);
-    const allJiraTickets = [...new Set([...jiraTicketsFromDescription, ...jiraTicketsFromBranch])];
+    // Add tickets the generated description mentions
+    const allTicketRefs = mergeTicketReferences(extractTicketReferences(detailedSummary, trackerContext), ticketRefs);
     
-    // Build JIRA ticket section and extract Figma links
-    let jiraSection = "";
+    // Build ticket section and extract Figma links
+    const ticketSectionTitle = getTicketSectionTitle(allTicketRefs);
+    let ticketSection = "";
     let figmaSection = "";
-    if (allJiraTickets.length > 0) {
-      jiraSection = allJiraTickets.map(ticket => `- [${ticket}](${getJiraUrl(ticket)})`).join('\n');
+    if (allTicketRefs.length > 0) {
+      ticketSection = allTicketRefs.map(ref => {
+        const fetched = ticketDetails.find(ticket => ticket.tracker === ref.tracker && ticket.key === ref.key);
+        return formatTicketLink(fetched?.url ? { ...ref, url: fetched.url } : ref);
+      }).join('\n');
       
-      // Try to get Figma links from the first JIRA ticket
-      try {
-        const { get_jira_ticket_details } = await import('../jira/ticketDetails.js');
-        const jiraResult = await get_jira_ticket_details.invoke({ ticketId: allJiraTickets[0] });
-        if (jiraResult.success && jiraResult.ticket.figmaLinks && jiraResult.ticket.figmaLinks.length > 0) {
-          figmaSection = jiraResult.ticket.figmaLinks.map(link => `- [Figma Design](${link})`).join('\n');
-        }
-      } catch (error) {
-        console.warn('Failed to fetch Figma links from JIRA:', error.message);
+      const figmaLinks = [...new Set(ticketDetails.flatMap(ticket => ticket.figmaLinks || []))];
+      if (figmaLinks.length > 0) {
+        figmaSection = figmaLinks.map(link => `- [Figma Design](${link})`).join('\n');
       }
     } else {
-      jiraSection = "<!-- Please add Jira Link here -->";
+      ticketSection = ticketSectionTitle === 'Jira Ticket' ? "<!-- Please add Jira Link here -->" : "<!-- Please add ticket link here -->";
     }
     
     // Build file statistics and type analysis under same heading
     let changeAnalysis = `- **New Files Added:** ${newFiles.length}
 - **Files Modified:** ${modifiedFiles.length}
 - **Files Deleted:** ${deletedFiles.length}
-- **Total Files Changed:** ${filesChanged.length}`;
+- **Total Files Changed:** ${filesChanged.length}${compareData.truncation?.files ? '+' : ''}`;
     
     // Add file type analysis to the same section
     if (Object.keys(fileTypes).length > 0) {
@@ -83,42 +180,123 @@ ${Object.entries(fileTypes)
   .map(([ext, count]) => `- **.${ext}:** ${count} files`)
   .join('\n')}`;
     }
+
+    // Tell reviewers when the LLM did not see the whole diff
+    const coverageNotes = [describeComparisonTruncation(compareData.truncation), describeDiffCoverage(diffCoverage)].filter(Boolean).join('\n');
+    if (coverageNotes) {
+      changeAnalysis += `\n\n**Analysis Coverage:**
+${coverageNotes}`;
+    }
+    progress.section('change-analysis', changeAnalysis);
     
-    // Use the new template format
+    // Rule-based risk score from paths, diff size, spread and deletions
+    const risk = assessRisk(filesChanged);
+    const riskSection = buildRiskSection(risk, risks);
+    progress.section('risk', riskSection);
+
+    // Source changes without matching test changes, plus LLM-drafted test scenarios
+    const testing = analyzeTestCoverage(filesChanged);
+    const testScenarios = getTestConfig().suggestScenarios
+      ? await generateTestScenarios(filesChanged, testing, head, base, cacheOptions, generation)
+      : '';
+    const testingSection = buildTestingSection(testing, testScenarios, testNotes);
+    progress.section('testing', testingSection);
+
+    // Optional Commits section (PR_COMMITS_SECTION=type|ticket)
+    const { section: commitsGrouping } = getCommitConfig();
+    const commitsSection = commitsGrouping !== 'off' && commits.length > 0
+      ? buildCommitsSection(commits, commitsGrouping)
+      : '';
+
+    // Prefer the repository's own PR template when it has one
+    let template = null;
+    try {
+      template = compareData.local
+        ? loadLocalPullRequestTemplate(compareData.root)
+        : await fetchPullRequestTemplate(owner, repo, headers, base);
+    } catch (error) {
+      console.warn('Failed to fetch PR template:', error.message);
+    }
+
+    if (template) {
+      const parsedTemplate = parseTemplateSections(template.content);
+      if (parsedTemplate.sections.length > 0) {
+        progress.stage('filling_template');
+        const filled = await fillTemplateSections(parsedTemplate, {
+          detailedSummary,
+          keyChanges,
+          motivationContext,
+          ticketSection,
+          figmaSection,
+          commitsSection,
+          riskSection,
+          testingSection,
+          changeAnalysis
+        }, cacheOptions, generation);
+
+        return {
+          description: `${renderFilledTemplate(parsedTemplate, filled, wrapAiSection)}
+
+---
+
+${AI_FOOTER}`,
+          summary: detailedSummary,
+          risk,
+          testing,
+          generation
+        };
+      }
+    }
+
+    // Fall back to the default layout
     let enhancedDescription = `<!--- Provide a general summary of your changes in the Title above by starting with Jira Ticket -->
 
 ## Description:
-${detailedSummary}
+${wrapAiSection('description', detailedSummary)}
 
    ### Key Changes:
-   ${keyChanges}
+   ${wrapAiSection('key-changes', keyChanges)}
 
 ## Motivation and Context:
-${motivationContext}
+${wrapAiSection('motivation', motivationContext)}
 
-## Jira Ticket: 
-${jiraSection}
+## ${ticketSectionTitle}: 
+${wrapAiSection('tickets', ticketSection)}
 
 ${figmaSection ? `## Figma Links:
-${figmaSection}
+${wrapAiSection('figma', figmaSection)}
+
+` : ''}${commitsSection ? `## Commits:
+${wrapAiSection('commits', commitsSection)}
+
+` : ''}## Testing:
+${wrapAiSection('testing', testingSection)}
 
-` : ''}## Screenshots:
+## Screenshots:
 | Before | After |
 | ------ | ----- |
 |--before-image--|--after-image-- |
 
+## Risk & Impact:
+${wrapAiSection('risk', riskSection)}
+
 ## Change Analysis:
-${changeAnalysis}
+${wrapAiSection('change-analysis', changeAnalysis)}
 
 ---
 
-> 🤖 **Created by AI Agent** - This PR was automatically generated with enhanced analysis and formatting.`;
+${AI_FOOTER}`;
     
-    return enhancedDescription;
+    return { description: enhancedDescription, summary: detailedSummary, risk, testing, generation };
     
   } catch (error) {
     console.warn('Failed to analyze code diff:', error.message);
-    return `<!--- Provide a general summary of your changes in the Title above by starting with Jira Ticket -->
+    return {
+      summary: null,
+      risk: null,
+      testing: null,
+      generation: null,
+      description: `<!--- Provide a general summary of your changes in the Title above by starting with Jira Ticket -->
 
 ## Description:
 This PR introduces changes from \`${head}\` to \`${base}\` branch.
@@ -148,6 +326,12 @@ This change addresses the requirements specified in the JIRA ticket(s) mentioned
 
 ---
 
-> 🤖 **Created by AI Agent** - This PR was automatically generated with enhanced analysis and formatting.`;
+${AI_FOOTER}`
+    };
   }
 };
+
+/**
+ * Analyze code diff and generate enhanced PR description (description only)
+ */
+export const analyzeCodeDiff = async (...args) => (await analyzePullRequest(...args)).description;
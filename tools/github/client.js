@@ -0,0 +1,210 @@
+/**
+ * Shared GitHub HTTP client
+ *
+ * Every GitHub API call goes through here. Requests are retried with backoff
+ * on 5xx responses and secondary rate limits, wait for (or fail fast on) an
+ * exhausted rate limit, revalidate GET responses against an in-memory ETag
+ * cache (304s do not count against the rate limit) and log one JSON line per
+ * attempt on stderr, which keeps stdout free for the MCP protocol.
+ * The methods mirror axios, so responses and errors have the usual shape.
+ */
+
+import axios from 'axios';
+import { createHash } from 'crypto';
+import { getGitHubClientConfig } from '../../config/githubConfig.js';
+
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN']);
+// A failed POST may still have created something, so only these are retried after a 5xx or network error
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'put', 'patch', 'delete']);
+const BASE_DELAY_MS = 500;
+// GitHub asks for at least a minute after a secondary rate limit without Retry-After
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60000;
+// A single body may use at most this share of the ETag cache's byte budget
+const MAX_ETAG_ENTRY_SHARE = 0.1;
+
+const etagCache = new Map();
+let etagCacheBytes = 0;
+// Last core rate limit seen per token: { remaining, reset } with reset in epoch ms
+const rateLimits = new Map();
+
+/**
+ * Get GitHub headers for API requests
+ */
+export const getGitHubHeaders = (token) => ({
+  'Authorization': `token ${token}`,
+  'Accept': 'application/vnd.github.v3+json',
+  'Content-Type': 'application/json',
+  'User-Agent': 'PR-CoPilot-Agent/1.0'
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Tell tokens apart without keeping them in cache keys
+const getTokenKey = (headers = {}) => createHash('sha256')
+  .update(String(headers.Authorization || headers.authorization || ''))
+  .digest('hex')
+  .slice(0, 16);
+
+const getPath = (url) => {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return url;
+  }
+};
+
+const logRequest = (entry) => {
+  if (getGitHubClientConfig().logRequests) {
+    console.error(JSON.stringify({ event: 'github_request', ...entry }));
+  }
+};
+
+const recordRateLimit = (tokenKey, headers = {}) => {
+  const remaining = headers['x-ratelimit-remaining'];
+  const reset = headers['x-ratelimit-reset'];
+  if (remaining === undefined || reset === undefined) return;
+  if (headers['x-ratelimit-resource'] && headers['x-ratelimit-resource'] !== 'core') return;
+  rateLimits.set(tokenKey, { remaining: Number(remaining), reset: Number(reset) * 1000 });
+};
+
+/**
+ * Wait until the rate limit resets when the last response said it is used up
+ */
+const waitForRateLimit = async (tokenKey, { maxRetryWaitMs }) => {
+  const limit = rateLimits.get(tokenKey);
+  if (!limit || limit.remaining > 0) return;
+
+  const wait = limit.reset - Date.now();
+  if (wait <= 0) {
+    rateLimits.delete(tokenKey);
+    return;
+  }
+  if (wait > maxRetryWaitMs) {
+    const error = new Error(`GitHub rate limit exhausted; it resets at ${new Date(limit.reset).toLocaleTimeString()}`);
+    error.code = 'GITHUB_RATE_LIMITED';
+    throw error;
+  }
+  await sleep(wait);
+};
+
+const getBackoff = (attempt) => BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * BASE_DELAY_MS);
+
+/**
+ * Milliseconds to wait before retrying a failed request, or null when it should not be retried
+ */
+const getRetryDelay = (error, method, attempt) => {
+  const response = error.response;
+  if (!response) {
+    return IDEMPOTENT_METHODS.has(method) && RETRYABLE_ERROR_CODES.has(error.code) ? getBackoff(attempt) : null;
+  }
+
+  const { status, headers = {} } = response;
+  if (status === 403 || status === 429) {
+    // Rate-limited requests were not processed, so any method can be retried
+    const retryAfter = Number(headers['retry-after']);
+    if (retryAfter > 0) return retryAfter * 1000;
+    if (headers['x-ratelimit-remaining'] === '0') return Math.max(Number(headers['x-ratelimit-reset']) * 1000 - Date.now(), 0) + 1000;
+    if (/secondary rate limit|abuse/i.test(response.data?.message || '')) return SECONDARY_RATE_LIMIT_DELAY_MS;
+    return null;
+  }
+
+  return RETRYABLE_STATUSES.has(status) && IDEMPOTENT_METHODS.has(method) ? getBackoff(attempt) : null;
+};
+
+const forgetEtag = (cacheKey) => {
+  const entry = etagCache.get(cacheKey);
+  if (!entry) return;
+  etagCacheBytes -= entry.bytes;
+  etagCache.delete(cacheKey);
+};
+
+/**
+ * Keep a GET body for revalidation, evicting the least recently used entries beyond
+ * the entry count or byte budget; bodies above their share of the budget are not kept
+ */
+const rememberEtag = (cacheKey, etag, data, { etagCacheSize, etagCacheMaxBytes }, bytes = Buffer.byteLength(JSON.stringify(data) ?? '')) => {
+  forgetEtag(cacheKey);
+  if (bytes > etagCacheMaxBytes * MAX_ETAG_ENTRY_SHARE) return;
+
+  etagCache.set(cacheKey, { etag, data, bytes });
+  etagCacheBytes += bytes;
+  while (etagCache.size > etagCacheSize || etagCacheBytes > etagCacheMaxBytes) {
+    forgetEtag(etagCache.keys().next().value);
+  }
+};
+
+/**
+ * Send a GitHub API request (axios request config; `timeout` overrides GITHUB_TIMEOUT_MS)
+ */
+export const githubRequest = async (config) => {
+  const settings = getGitHubClientConfig();
+  const method = (config.method || 'get').toLowerCase();
+  const tokenKey = getTokenKey(config.headers);
+  const cacheKey = method === 'get' && settings.etagCacheSize > 0
+    ? `${tokenKey} ${config.url} ${JSON.stringify(config.params || {})}`
+    : null;
+  const path = getPath(config.url);
+
+  for (let attempt = 1; ; attempt++) {
+    await waitForRateLimit(tokenKey, settings);
+
+    const cached = cacheKey ? etagCache.get(cacheKey) : null;
+    const started = Date.now();
+    try {
+      const response = await axios.request({
+        timeout: settings.timeoutMs,
+        ...config,
+        method,
+        headers: { ...config.headers, ...(cached && { 'If-None-Match': cached.etag }) },
+        validateStatus: status => (status >= 200 && status < 300) || (Boolean(cached) && status === 304)
+      });
+      recordRateLimit(tokenKey, response.headers);
+      logRequest({
+        method: method.toUpperCase(),
+        path,
+        status: response.status,
+        duration_ms: Date.now() - started,
+        attempt,
+        cached: response.status === 304,
+        rate_limit_remaining: response.headers['x-ratelimit-remaining'] !== undefined ? Number(response.headers['x-ratelimit-remaining']) : undefined
+      });
+
+      if (response.status === 304) {
+        rememberEtag(cacheKey, cached.etag, cached.data, settings, cached.bytes);
+        return { ...response, status: 200, data: cached.data };
+      }
+      if (cacheKey && response.headers.etag) {
+        rememberEtag(cacheKey, response.headers.etag, response.data, settings);
+      }
+      return response;
+    } catch (error) {
+      if (error.response) recordRateLimit(tokenKey, error.response.headers);
+      const delay = attempt <= settings.maxRetries ? getRetryDelay(error, method, attempt) : null;
+      const retry = delay !== null && delay <= settings.maxRetryWaitMs;
+      logRequest({
+        method: method.toUpperCase(),
+        path,
+        status: error.response?.status,
+        duration_ms: Date.now() - started,
+        attempt,
+        error: error.code || error.message,
+        retry_in_ms: retry ? delay : undefined
+      });
+      if (!retry) throw error;
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * axios-style shorthands: get(url, config), post(url, data, config), ...
+ */
+export const githubClient = {
+  request: githubRequest,
+  get: (url, config = {}) => githubRequest({ ...config, url, method: 'get' }),
+  delete: (url, config = {}) => githubRequest({ ...config, url, method: 'delete' }),
+  post: (url, data, config = {}) => githubRequest({ ...config, url, data, method: 'post' }),
+  put: (url, data, config = {}) => githubRequest({ ...config, url, data, method: 'put' }),
+  patch: (url, data, config = {}) => githubRequest({ ...config, url, data, method: 'patch' })
+};
@@ -0,0 +1,133 @@
+/**
+ * Commit history for the analysis and description
+ *
+ * Works on the GitHub compare API `commits` array (local comparisons use the
+ * same shape): parses Conventional Commit types, authors and Co-authored-by
+ * trailers, flags fixup/squash/WIP commits and renders the optional Commits section.
+ */
+
+import { extractTicketReferences } from '../trackers/index.js';
+
+const CONVENTIONAL = /^(?:\[?[A-Z][A-Z0-9]*-\d+\]?\s*[:\-–]?\s*)?([a-zA-Z]+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+const CO_AUTHOR = /^co-authored-by:\s*(.+?)\s*(?:<([^>]+)>)?\s*$/gim;
+const MAX_PROMPT_COMMITS = 50;
+
+// Section headings for Conventional Commit types, in display order
+export const TYPE_LABELS = {
+  feat: 'Features',
+  fix: 'Bug Fixes',
+  perf: 'Performance',
+  refactor: 'Refactoring',
+  docs: 'Documentation',
+  test: 'Tests',
+  build: 'Build',
+  ci: 'CI',
+  chore: 'Chores',
+  style: 'Style',
+  revert: 'Reverts'
+};
+
+/**
+ * Why a commit should be cleaned up before merging, or null
+ */
+export const getCommitFlag = (subject) => {
+  if (/^fixup!/i.test(subject)) return 'fixup';
+  if (/^squash!/i.test(subject)) return 'squash';
+  if (/^amend!/i.test(subject)) return 'fixup';
+  // Only a leading marker ("WIP: ...", "[WIP] ...", "wip"), so "Remove wip flag" is a normal subject
+  if (/^\s*(?:\[wip\]|\(wip\)|wip(?=$|[\s:!.]))/i.test(subject) || /^(do not merge|dnm)\b/i.test(subject)) return 'wip';
+  return null;
+};
+
+/**
+ * Parse one compare API commit
+ */
+export const parseCommit = (commit, context = {}) => {
+  const message = commit.commit?.message || '';
+  const [subject, ...bodyLines] = message.split('\n');
+  const conventional = subject.match(CONVENTIONAL);
+  const coAuthors = [...message.matchAll(CO_AUTHOR)].map(match => match[1]);
+
+  return {
+    sha: commit.sha,
+    shortSha: (commit.sha || '').slice(0, 7),
+    subject: subject.trim(),
+    body: bodyLines.join('\n').replace(CO_AUTHOR, '').trim(),
+    author: commit.author?.login || commit.commit?.author?.name || 'unknown',
+    coAuthors: [...new Set(coAuthors)],
+    type: conventional ? conventional[1].toLowerCase() : null,
+    scope: conventional?.[2] || null,
+    breaking: !!conventional?.[3] || /^BREAKING[ -]CHANGE:/m.test(message),
+    tickets: extractTicketReferences(message, context).map(ref => ref.key),
+    flag: getCommitFlag(subject.trim())
+  };
+};
+
+/**
+ * Parse the commits of a comparison
+ */
+export const parseCommits = (commits = [], context = {}) => commits.map(commit => parseCommit(commit, context));
+
+/**
+ * Commits that should be squashed or finished before the PR is created
+ */
+export const detectCommitWarnings = (parsedCommits) => parsedCommits
+  .filter(commit => commit.flag)
+  .map(commit => ({
+    sha: commit.shortSha,
+    subject: commit.subject,
+    kind: commit.flag,
+    message: commit.flag === 'wip'
+      ? `${commit.shortSha} looks like work in progress: "${commit.subject}"`
+      : `${commit.shortSha} is a ${commit.flag} commit; autosquash it before merging: "${commit.subject}"`
+  }));
+
+/**
+ * Format commit warnings for tool responses
+ */
+export const formatCommitWarnings = (warnings) => warnings.map(warning => `- ⚠️ ${warning.message}`).join('\n');
+
+/**
+ * Commit history for the prompts (oldest first, bodies included)
+ */
+export const formatCommitsForPrompt = (parsedCommits) => {
+  if (parsedCommits.length === 0) return 'No commit history available';
+
+  const shown = parsedCommits.slice(-MAX_PROMPT_COMMITS);
+  const lines = shown.map(commit => {
+    const people = [commit.author, ...commit.coAuthors].join(', ');
+    const body = commit.body ? `\n  ${commit.body.split('\n').filter(Boolean).slice(0, 6).join('\n  ')}` : '';
+    return `- ${commit.shortSha} ${commit.subject} (${people})${body}`;
+  });
+
+  const omitted = parsedCommits.length - shown.length;
+  return `${omitted > 0 ? `(${omitted} older commits omitted)\n` : ''}${lines.join('\n')}`;
+};
+
+const formatCommitLine = (commit) => {
+  const coAuthors = commit.coAuthors.length > 0 ? `, with ${commit.coAuthors.join(', ')}` : '';
+  return `- ${commit.subject} (${commit.shortSha}, @${commit.author}${coAuthors})`;
+};
+
+/**
+ * Markdown for the Commits section, grouped by Conventional Commit type or by ticket
+ */
+export const buildCommitsSection = (parsedCommits, groupBy = 'type') => {
+  const groups = new Map();
+  for (const commit of parsedCommits) {
+    const keys = groupBy === 'ticket'
+      ? (commit.tickets.length > 0 ? [commit.tickets[0]] : ['No ticket'])
+      : [commit.breaking ? 'Breaking Changes' : (TYPE_LABELS[commit.type] || 'Other')];
+    for (const key of keys) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(commit);
+    }
+  }
+
+  // Keep a stable, readable order: known types first, catch-all groups last
+  const order = groupBy === 'ticket'
+    ? [...groups.keys()].filter(key => key !== 'No ticket').concat(groups.has('No ticket') ? ['No ticket'] : [])
+    : ['Breaking Changes', ...Object.values(TYPE_LABELS), 'Other'].filter(key => groups.has(key));
+
+  return order.map(key => `**${key}**\n${groups.get(key).map(formatCommitLine).join('\n')}`).join('\n\n');
+};
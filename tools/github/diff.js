@@ -0,0 +1,231 @@
+/**
+ * Diff context preparation for LLM prompts
+ */
+
+// Lockfiles never carry meaningful intent and are usually huge
+const LOCKFILE_NAMES = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'Gemfile.lock',
+  'Cargo.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'composer.lock',
+  'go.sum',
+  'mix.lock',
+  'pubspec.lock',
+  'Podfile.lock'
+];
+
+const GENERATED_PATTERNS = [
+  /(^|\/)(dist|build|out|vendor|node_modules|coverage)\//,
+  /(^|\/)__snapshots__\//,
+  /\.snap$/,
+  /\.min\.(js|css)$/,
+  /\.map$/,
+  /\.generated\.[^/]+$/,
+  /\.pb\.go$/,
+  /_pb2\.py$/
+];
+
+const BINARY_EXTENSIONS = [
+  'png', 'jpg', 'jpeg', 'gif', 'bmp', 'ico', 'webp', 'svgz', 'psd',
+  'pdf', 'zip', 'gz', 'tgz', 'tar', 'rar', '7z', 'jar', 'war',
+  'woff', 'woff2', 'ttf', 'otf', 'eot',
+  'mp3', 'mp4', 'mov', 'avi', 'wav', 'ogg', 'webm',
+  'exe', 'dll', 'so', 'dylib', 'bin', 'class', 'pyc', 'wasm'
+];
+
+/**
+ * Rough token estimate (~4 characters per token)
+ */
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Lockfile or binary by file name, if either
+ */
+export const getFileKind = (filename) => {
+  const basename = filename.split('/').pop();
+  const ext = basename.includes('.') ? basename.split('.').pop().toLowerCase() : '';
+
+  if (LOCKFILE_NAMES.includes(basename)) return 'lockfile';
+  if (BINARY_EXTENSIONS.includes(ext)) return 'binary';
+  return null;
+};
+
+/**
+ * Determine why a file should be left out of the LLM diff context, if at all
+ */
+export const getSkipReason = (file) => {
+  const filename = file.filename;
+  const kind = getFileKind(filename);
+
+  if (kind) return kind;
+  if (GENERATED_PATTERNS.some(pattern => pattern.test(filename))) return 'generated';
+  // GitHub omits the patch for binary files and for diffs that are too large to render
+  if (!file.patch && file.changes > 0) return 'binary';
+  return null;
+};
+
+/**
+ * Cut a patch down to a token budget on a line boundary
+ */
+export const truncatePatch = (patch, maxTokens) => {
+  if (estimateTokens(patch) <= maxTokens) {
+    return { patch, truncated: false };
+  }
+
+  const maxChars = maxTokens * 4;
+  const lines = patch.split('\n');
+  const kept = [];
+  let length = 0;
+  for (const line of lines) {
+    if (length + line.length + 1 > maxChars) break;
+    kept.push(line);
+    length += line.length + 1;
+  }
+
+  return {
+    patch: `${kept.join('\n')}\n... (${lines.length - kept.length} more lines truncated)`,
+    truncated: true
+  };
+};
+
+/**
+ * Format a single file's patch for a prompt
+ */
+const formatFilePatch = (file, patch) => {
+  const renamed = file.previous_filename ? ` (renamed from ${file.previous_filename})` : '';
+  const body = patch ? `\n\`\`\`diff\n${patch}\n\`\`\`` : '\n(no textual changes)';
+  return `### ${file.filename} [${file.status}]${renamed}${body}`;
+};
+
+const getDirectory = (filename) => {
+  const parts = filename.split('/');
+  return parts.length > 1 ? parts.slice(0, -1).join('/') : '.';
+};
+
+/**
+ * Pack files into directory-ordered chunks that fit the chunk budget.
+ * Files larger than the budget get a chunk of their own with a truncated patch.
+ */
+const buildChunks = (files, chunkTokenBudget, truncatedFiles) => {
+  const sorted = [...files].sort((a, b) =>
+    getDirectory(a.filename).localeCompare(getDirectory(b.filename)) || a.filename.localeCompare(b.filename)
+  );
+
+  const chunks = [];
+  let current = null;
+
+  for (const file of sorted) {
+    let text = formatFilePatch(file, file.patch);
+    if (estimateTokens(text) > chunkTokenBudget) {
+      const { patch } = truncatePatch(file.patch || '', chunkTokenBudget - estimateTokens(formatFilePatch(file, '')));
+      text = formatFilePatch(file, patch);
+      truncatedFiles.push(file.filename);
+    }
+
+    const tokens = estimateTokens(text);
+    if (!current || current.tokens + tokens > chunkTokenBudget) {
+      current = { directories: [], files: [], parts: [], tokens: 0 };
+      chunks.push(current);
+    }
+
+    const directory = getDirectory(file.filename);
+    if (!current.directories.includes(directory)) current.directories.push(directory);
+    current.files.push(file.filename);
+    current.parts.push(text);
+    current.tokens += tokens;
+  }
+
+  return chunks.map(chunk => ({
+    label: chunk.directories.join(', '),
+    files: chunk.files,
+    text: chunk.parts.join('\n\n'),
+    tokens: chunk.tokens
+  }));
+};
+
+/**
+ * Plan how the diff is sent to the LLM.
+ *
+ * Returns an `inline` plan when every relevant patch fits the token budget,
+ * otherwise a `chunked` plan whose chunks are summarized separately and then
+ * combined. Skipped and truncated files are reported so the description can
+ * say what the model did not see.
+ */
+export const planDiffContext = (filesChanged, { tokenBudget, chunkTokenBudget, maxChunks }) => {
+  const skipped = [];
+  const relevant = [];
+
+  filesChanged.forEach(file => {
+    const reason = getSkipReason(file);
+    if (reason) {
+      skipped.push({ filename: file.filename, reason });
+    } else {
+      relevant.push(file);
+    }
+  });
+
+  const inlineText = relevant.map(file => formatFilePatch(file, file.patch)).join('\n\n');
+  if (estimateTokens(inlineText) <= tokenBudget) {
+    return {
+      mode: 'inline',
+      text: inlineText,
+      chunks: [],
+      skipped,
+      truncatedFiles: [],
+      omittedFiles: []
+    };
+  }
+
+  const truncatedFiles = [];
+  const chunks = buildChunks(relevant, chunkTokenBudget, truncatedFiles);
+  const omittedFiles = chunks.slice(maxChunks).flatMap(chunk => chunk.files);
+
+  return {
+    mode: 'chunked',
+    text: '',
+    chunks: chunks.slice(0, maxChunks),
+    skipped,
+    truncatedFiles,
+    omittedFiles
+  };
+};
+
+/**
+ * Describe how much of the diff the LLM actually saw, for the PR description
+ */
+export const describeDiffCoverage = (coverage) => {
+  if (!coverage) return '';
+
+  const notes = [];
+  if (coverage.mode === 'chunked') {
+    notes.push(`Diff was too large for a single prompt and was summarized in ${coverage.chunkCount} chunks before the final pass`);
+  }
+  if (coverage.truncatedFiles.length > 0) {
+    notes.push(`Patches truncated to fit the token budget: ${coverage.truncatedFiles.join(', ')}`);
+  }
+  if (coverage.omittedFiles.length > 0) {
+    notes.push(`${coverage.omittedFiles.length} files exceeded the chunk limit and were not analyzed in detail`);
+  }
+  if (coverage.summariesTruncated) {
+    notes.push('Combined chunk summaries were truncated to fit the token budget');
+  }
+  if (coverage.unlistedFiles > 0) {
+    notes.push(`${coverage.unlistedFiles} files were left out of the file list to fit the token budget`);
+  }
+  if (coverage.skipped.length > 0) {
+    const byReason = coverage.skipped.reduce((acc, { reason }) => {
+      acc[reason] = (acc[reason] || 0) + 1;
+      return acc;
+    }, {});
+    const reasons = Object.entries(byReason).map(([reason, count]) => `${count} ${reason}`).join(', ');
+    notes.push(`Skipped files not sent for analysis: ${reasons}`);
+  }
+
+  return notes.map(note => `- ${note}`).join('\n');
+};
@@ -0,0 +1,121 @@
+/**
+ * LLM generation cache
+ *
+ * Generated text is stored under a hash of the prompt (which carries the diff
+ * hunks, ticket context, commits and custom body), the prompt version and the
+ * model settings. A `generate_pr_summary` preview and the PR created from it
+ * get the same text, and repeating a request does not pay for the LLM again.
+ */
+
+import { createHash } from 'crypto';
+import { mkdirSync, readFileSync, writeFileSync, unlinkSync } from 'fs';
+import path from 'path';
+import { getAIConfig, getGenerationCacheConfig } from '../../config/aiConfig.js';
+
+// Bump when response handling changes in a way the prompt text does not show
+export const PROMPT_VERSION = 1;
+
+const memoryEntries = new Map();
+
+const memoryBackend = {
+  get: (key, { ttlMs }) => {
+    const entry = memoryEntries.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.createdAt > ttlMs) {
+      memoryEntries.delete(key);
+      return null;
+    }
+    return entry.content;
+  },
+  set: (key, content, { maxEntries }) => {
+    memoryEntries.delete(key);
+    memoryEntries.set(key, { content, createdAt: Date.now() });
+    while (memoryEntries.size > maxEntries) {
+      memoryEntries.delete(memoryEntries.keys().next().value);
+    }
+  }
+};
+
+const diskBackend = {
+  get: (key, { dir, ttlMs }) => {
+    const file = path.join(dir, `${key}.json`);
+    try {
+      const entry = JSON.parse(readFileSync(file, 'utf8'));
+      if (Date.now() - entry.created_at > ttlMs) {
+        unlinkSync(file);
+        return null;
+      }
+      return entry.content;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`Ignoring unreadable cache entry ${file}:`, error.message);
+      return null;
+    }
+  },
+  set: (key, content, { dir }) => {
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({ created_at: Date.now(), content }));
+  }
+};
+
+const BACKENDS = { memory: memoryBackend, disk: diskBackend };
+
+/**
+ * Cache key for a prompt with the current model settings (never the API key)
+ */
+export const getGenerationKey = (prompt) => {
+  const { provider, model, base_url, fixture_path, options } = getAIConfig();
+  return createHash('sha256')
+    .update(JSON.stringify({
+      version: PROMPT_VERSION,
+      provider,
+      model,
+      base_url,
+      fixture_path,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      prompt
+    }))
+    .digest('hex');
+};
+
+/**
+ * llm.invoke through the cache. Returns { content, cached, usage } where usage is the
+ * provider's token count ({ input_tokens, output_tokens, total_tokens }; null when unknown or cached).
+ * `forceRegenerate` skips the lookup but still stores the new result. `validate(content)` may
+ * throw to mark a response unusable (e.g. JSON that fails its schema): such a response is
+ * returned to the caller but never stored, and a cached one is treated as a miss.
+ */
+export const invokeWithCache = async (llm, prompt, { forceRegenerate = false, validate } = {}) => {
+  const config = getGenerationCacheConfig();
+  const backend = BACKENDS[config.backend];
+  if (!backend) {
+    const response = await llm.invoke(prompt);
+    return { content: response.content, cached: false, usage: response.usage_metadata || null };
+  }
+
+  const isValid = (content) => {
+    if (!validate) return true;
+    try {
+      validate(content);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const key = getGenerationKey(prompt);
+  if (!forceRegenerate) {
+    const content = backend.get(key, config);
+    if (content !== null && isValid(content)) return { content, cached: true, usage: null };
+  }
+
+  const response = await llm.invoke(prompt);
+  if (typeof response.content === 'string' && isValid(response.content)) {
+    try {
+      backend.set(key, response.content, config);
+    } catch (error) {
+      console.warn('Failed to cache LLM generation:', error.message);
+    }
+  }
+  return { content: response.content, cached: false, usage: response.usage_metadata || null };
+};
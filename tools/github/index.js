@@ -1 +1 @@
-export { create_pull_request, get_repository_info, generate_pr_summary } from './tools.js';
+export { create_pull_request, get_repository_info, generate_pr_summary, update_pull_request, review_pull_request, generate_release_notes } from './tools.js';
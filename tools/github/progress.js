@@ -0,0 +1,51 @@
+/**
+ * Progress events for long-running tools
+ *
+ * Creating or summarizing a PR takes many GitHub and LLM calls. Tools read an
+ * optional `onProgress` callback from their LangChain config
+ * (`tool.invoke(args, { configurable: { onProgress } })`) and report each stage,
+ * plus every description section as soon as its text is ready. The MCP server
+ * forwards the events as progress notifications, the API server as SSE.
+ */
+
+export const PROGRESS_STAGES = {
+  checking_existing: 'Checking for an open pull request',
+  fetching_diff: 'Fetching the diff',
+  generating_title: 'Generating the title',
+  fetching_tickets: 'Fetching tickets',
+  generating_sections: 'Generating description sections',
+  filling_template: 'Filling the PR template',
+  creating_pr: 'Creating the pull request',
+  updating_pr: 'Updating the pull request',
+  requesting_reviewers: 'Requesting reviewers',
+  updating_jira: 'Updating JIRA tickets'
+};
+
+/**
+ * Reporter around an optional listener: `stage(name)` for a pipeline stage and
+ * `section(id, text)` for a finished section (ids match the AI section markers).
+ * Events carry an increasing `progress` count; listener failures are logged and ignored.
+ */
+export const createProgressReporter = (onProgress) => {
+  let progress = 0;
+
+  const emit = (event) => {
+    if (typeof onProgress !== 'function') return;
+    progress += 1;
+    try {
+      Promise.resolve(onProgress({ ...event, progress })).catch(error => console.warn('Progress listener failed:', error.message));
+    } catch (error) {
+      console.warn('Progress listener failed:', error.message);
+    }
+  };
+
+  return {
+    stage: (stage) => emit({ type: 'stage', stage, message: PROGRESS_STAGES[stage] || stage }),
+    section: (id, text) => emit({ type: 'section', section: id, message: `Generated the ${id} section`, text })
+  };
+};
+
+/**
+ * Reporter for a tool run, from the config LangChain passes to the tool
+ */
+export const getProgressReporter = (config) => createProgressReporter(config?.configurable?.onProgress);
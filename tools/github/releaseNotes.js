@@ -0,0 +1,229 @@
+/**
+ * Release notes between two refs
+ *
+ * Finds the pull requests merged between two tags or refs (from merge and
+ * squash commit messages, falling back to the commit → PR API), looks up the
+ * tickets they reference and renders markdown for CHANGELOG.md or a GitHub
+ * Release, grouped by Conventional Commit type, label or ticket type.
+ */
+
+import { GITHUB_API_BASE } from './utils.js';
+import { githubClient } from './client.js';
+import { parseTitle, normalizeType } from './title.js';
+import { parseCommits, TYPE_LABELS } from './commits.js';
+import { extractTicketReferences, fetchTicket } from '../trackers/index.js';
+
+export const GROUP_BY_OPTIONS = ['type', 'label', 'ticket_type'];
+
+const MERGE_COMMIT = /^Merge pull request #(\d+)/;
+const SQUASH_COMMIT = /\(#(\d+)\)\s*$/;
+const BREAKING = /^BREAKING[ -]CHANGE:/m;
+const CONCURRENCY = 5;
+
+// Common GitHub labels mapped to Conventional Commit types
+const LABEL_TYPES = {
+  bug: 'fix',
+  bugfix: 'fix',
+  feature: 'feat',
+  enhancement: 'feat',
+  documentation: 'docs',
+  docs: 'docs',
+  dependencies: 'build',
+  performance: 'perf',
+  refactor: 'refactor',
+  chore: 'chore'
+};
+
+const isBot = (login) => /\[bot\]$/i.test(login || '');
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+};
+
+/**
+ * PR number from a merge commit ("Merge pull request #12 from ...") or a squash commit ("Title (#12)")
+ */
+export const findPullRequestNumber = (message) => {
+  const subject = (message || '').split('\n')[0];
+  const match = subject.match(MERGE_COMMIT) || subject.match(SQUASH_COMMIT);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Merged pull requests behind the commits of a comparison.
+ * Returns { pullRequests: [PR data with `commits`], directCommits: [commits without a PR] }
+ */
+export const fetchMergedPullRequests = async (owner, repo, commits, headers) => {
+  const numbers = new Map();
+  const unknown = [];
+
+  for (const commit of commits) {
+    const number = findPullRequestNumber(commit.commit?.message);
+    if (number) {
+      if (!numbers.has(number)) numbers.set(number, []);
+      numbers.get(number).push(commit);
+    } else {
+      unknown.push(commit);
+    }
+  }
+
+  // Rebase merges and other commits without a PR number in the message
+  const directCommits = [];
+  await mapWithConcurrency(unknown, CONCURRENCY, async (commit) => {
+    try {
+      const response = await githubClient.get(`${GITHUB_API_BASE}/repos/${owner}/${repo}/commits/${commit.sha}/pulls`, { headers });
+      const pr = response.data.find(candidate => candidate.merged_at);
+      if (pr) {
+        if (!numbers.has(pr.number)) numbers.set(pr.number, []);
+        numbers.get(pr.number).push(commit);
+        return;
+      }
+    } catch (error) {
+      console.warn(`Failed to look up the pull request for ${commit.sha.slice(0, 7)}:`, error.message);
+    }
+    directCommits.push(commit);
+  });
+
+  const pullRequests = await mapWithConcurrency([...numbers.keys()], CONCURRENCY, async (number) => {
+    try {
+      const response = await githubClient.get(`${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${number}`, { headers });
+      return { ...response.data, commits: numbers.get(number) };
+    } catch (error) {
+      console.warn(`Failed to fetch pull request #${number}:`, error.message);
+      return null;
+    }
+  });
+
+  return {
+    pullRequests: pullRequests.filter(pr => pr && pr.merged_at).sort((a, b) => a.merged_at.localeCompare(b.merged_at)),
+    directCommits: directCommits.sort((a, b) => commits.indexOf(a) - commits.indexOf(b))
+  };
+};
+
+const getLabelType = (labels) => labels.map(label => LABEL_TYPES[label.toLowerCase()]).find(Boolean) || null;
+
+/**
+ * Release entry for a merged pull request, with the tickets it references
+ */
+const buildPullRequestEntry = async (pr, { owner, repo, ticketCache }) => {
+  const parsed = parseTitle(pr.title);
+  const labels = (pr.labels || []).map(label => label.name);
+  const commits = parseCommits(pr.commits || [], { owner, repo });
+  const refs = extractTicketReferences([pr.title, pr.body || '', pr.head?.ref || ''].join('\n'), { owner, repo })
+    .filter(ref => !(ref.tracker === 'github' && ref.key === `#${pr.number}`));
+  const tickets = await Promise.all(refs.map(ref => fetchTicket(ref, ticketCache)));
+
+  return {
+    number: pr.number,
+    sha: null,
+    title: parsed.subject,
+    type: normalizeType(parsed.type) || getLabelType(labels) || commits.find(commit => commit.type)?.type || null,
+    scope: parsed.scope,
+    breaking: parsed.breaking || BREAKING.test(pr.body || '') || labels.some(label => /breaking/i.test(label)) || commits.some(commit => commit.breaking),
+    labels,
+    author: pr.user?.login || null,
+    url: pr.html_url,
+    tickets: tickets.map(ticket => ({ key: ticket.key, summary: ticket.summary, issueType: ticket.issueType, url: ticket.url, found: ticket.found }))
+  };
+};
+
+/**
+ * Release entry for a commit that was pushed without a pull request
+ */
+const buildCommitEntry = (commit, login) => ({
+  number: null,
+  sha: commit.shortSha,
+  title: parseTitle(commit.subject).subject,
+  type: commit.type ? normalizeType(commit.type) : null,
+  scope: commit.scope,
+  breaking: commit.breaking,
+  labels: [],
+  // Only a GitHub login can be @-mentioned; commits by unknown emails carry just a name
+  author: login,
+  url: null,
+  tickets: commit.tickets.map(key => ({ key, summary: null, issueType: null, url: null, found: false }))
+});
+
+/**
+ * Release entries for the merged pull requests and (optionally) direct commits
+ */
+export const buildReleaseEntries = async ({ pullRequests, directCommits }, { owner, repo, ticketCache, includeDirectCommits = true }) => {
+  const prEntries = await mapWithConcurrency(pullRequests, CONCURRENCY, pr => buildPullRequestEntry(pr, { owner, repo, ticketCache }));
+  const commitEntries = includeDirectCommits ? parseCommits(directCommits, { owner, repo }).map((commit, index) => buildCommitEntry(commit, directCommits[index].author?.login || null)) : [];
+  return [...prEntries, ...commitEntries];
+};
+
+const getGroup = (entry, groupBy) => {
+  if (groupBy === 'label') return entry.labels[0] || 'Other';
+  if (groupBy === 'ticket_type') return entry.tickets.find(ticket => ticket.issueType && ticket.issueType !== 'Unknown')?.issueType || 'Other';
+  return TYPE_LABELS[entry.type] || 'Other';
+};
+
+/**
+ * Group entries; groups come in Conventional Commit order for 'type', alphabetically otherwise, with "Other" last
+ */
+export const groupReleaseEntries = (entries, groupBy = 'type') => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const group = getGroup(entry, groupBy);
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(entry);
+  }
+
+  const names = groupBy === 'type'
+    ? [...Object.values(TYPE_LABELS), 'Other'].filter(name => groups.has(name))
+    : [...groups.keys()].filter(name => name !== 'Other').sort().concat(groups.has('Other') ? ['Other'] : []);
+  return names.map(name => ({ name, entries: groups.get(name) }));
+};
+
+const formatEntry = (entry) => {
+  const scope = entry.scope ? `**${entry.scope}:** ` : '';
+  const reference = entry.number ? `[#${entry.number}](${entry.url})` : entry.sha;
+  const author = entry.author && !isBot(entry.author) ? `, @${entry.author}` : '';
+  const tickets = entry.tickets.length > 0
+    ? ` · ${entry.tickets.map(ticket => (ticket.url ? `[${ticket.key}](${ticket.url})` : ticket.key)).join(', ')}`
+    : '';
+  return `- ${entry.breaking ? '⚠️ ' : ''}${scope}${entry.title} (${reference}${author})${tickets}`;
+};
+
+/**
+ * Markdown release notes: breaking changes first, then the groups and the contributors.
+ * `truncation` ({ returned, total } commits) adds a note that the notes miss later changes.
+ */
+export const buildReleaseNotes = ({ version, compareUrl, date, entries, groupBy = 'type', truncation = null }) => {
+  const heading = `## ${compareUrl ? `[${version}](${compareUrl})` : version} (${date})`;
+  const incomplete = truncation
+    ? `> ⚠️ Incomplete: the range has ${truncation.total} commits and only the first ${truncation.returned} were included. Check the full comparison for later changes.`
+    : null;
+  if (entries.length === 0) return [heading, incomplete, 'No changes.'].filter(Boolean).join('\n\n');
+
+  const parts = [heading];
+  if (incomplete) parts.push(incomplete);
+  const breaking = entries.filter(entry => entry.breaking);
+  if (breaking.length > 0) {
+    parts.push(`### ⚠️ Breaking Changes\n${breaking.map(formatEntry).join('\n')}`);
+  }
+
+  for (const group of groupReleaseEntries(entries, groupBy)) {
+    parts.push(`### ${group.name}\n${group.entries.map(formatEntry).join('\n')}`);
+  }
+
+  const contributors = [...new Set(entries.map(entry => entry.author).filter(author => author && !isBot(author)))];
+  if (contributors.length > 0) {
+    parts.push(`### Contributors\n${contributors.map(login => `@${login}`).join(', ')}`);
+  }
+
+  return parts.join('\n\n');
+};
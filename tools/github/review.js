@@ -0,0 +1,247 @@
+/**
+ * Inline code review
+ *
+ * Patches are sent to the LLM with new-file line numbers so findings can name
+ * a line. Each finding is then mapped onto a line GitHub accepts for a review
+ * comment (an added or context line on the RIGHT side, or a deleted line on
+ * the LEFT side); findings outside the diff go into the review body instead.
+ */
+
+import { getSkipReason, estimateTokens, truncatePatch } from './diff.js';
+import { getReviewConfig } from '../../config/prConfig.js';
+
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const SEVERITY_ICONS = { critical: '🛑', high: '🔴', medium: '🟡', low: '🔵' };
+const CATEGORY_LABELS = {
+  bug: 'Bug',
+  'error-handling': 'Error handling',
+  security: 'Security',
+  'risky-pattern': 'Risky pattern',
+  performance: 'Performance'
+};
+
+// How far a finding may be moved to reach a commentable line in the same hunk
+const MAX_LINE_DISTANCE = 3;
+
+export const REVIEW_MARKER = '<!-- pr-copilot:review -->';
+
+/**
+ * Lines of a patch a review comment can be attached to:
+ * { right: Set of new-file lines (added or context), left: Set of old-file lines (deleted) }
+ */
+export const getCommentableLines = (patch) => {
+  const right = new Set();
+  const left = new Set();
+  let oldLine = 0;
+  let newLine = 0;
+  for (const line of (patch || '').split('\n')) {
+    const hunk = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      oldLine = parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+    } else if (line.startsWith('+')) {
+      right.add(newLine++);
+    } else if (line.startsWith('-')) {
+      left.add(oldLine++);
+    } else if (line.startsWith(' ')) {
+      right.add(newLine++);
+      oldLine++;
+    }
+  }
+  return { right, left };
+};
+
+/**
+ * Patch with line numbers for the prompt: "  12 +added", "  13  context", "     -deleted (old 9)"
+ */
+export const numberPatch = (patch) => {
+  const lines = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const line of (patch || '').split('\n')) {
+    const hunk = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      oldLine = parseInt(hunk[1], 10);
+      newLine = parseInt(hunk[2], 10);
+      lines.push(line);
+    } else if (line.startsWith('+')) {
+      lines.push(`${String(newLine++).padStart(5)} ${line}`);
+    } else if (line.startsWith('-')) {
+      lines.push(`${' '.repeat(5)} ${line} (old ${oldLine++})`);
+    } else if (line.startsWith(' ')) {
+      lines.push(`${String(newLine++).padStart(5)} ${line}`);
+      oldLine++;
+    }
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Group the reviewable files into prompt batches that fit the token budget.
+ * Returns { batches: [{ files, text }], skipped: [filename], omitted: [filename] }
+ */
+export const buildReviewBatches = (files, { chunkTokenBudget, maxChunks }) => {
+  const skipped = [];
+  const batches = [];
+  let current = null;
+
+  for (const file of files) {
+    if (!file.patch || file.status === 'removed' || getSkipReason(file)) {
+      skipped.push(file.filename);
+      continue;
+    }
+
+    let text = `### ${file.filename}\n${numberPatch(file.patch)}`;
+    if (estimateTokens(text) > chunkTokenBudget) {
+      text = truncatePatch(text, chunkTokenBudget).patch;
+    }
+
+    const tokens = estimateTokens(text);
+    if (!current || current.tokens + tokens > chunkTokenBudget) {
+      current = { files: [], parts: [], tokens: 0 };
+      batches.push(current);
+    }
+    current.files.push(file.filename);
+    current.parts.push(text);
+    current.tokens += tokens;
+  }
+
+  return {
+    batches: batches.slice(0, maxChunks).map(batch => ({ files: batch.files, text: batch.parts.join('\n\n') })),
+    skipped,
+    omitted: batches.slice(maxChunks).flatMap(batch => batch.files)
+  };
+};
+
+const normalizeSeverity = (severity) => {
+  const value = String(severity || '').toLowerCase();
+  return SEVERITIES.includes(value) ? value : 'medium';
+};
+
+const normalizePath = (path) => String(path || '').replace(/^(?:\.\/|[ab]\/)/, '');
+
+/**
+ * Attach a finding to a commentable line: the line itself, a deleted line on
+ * the LEFT side, or the nearest added/context line within a few lines.
+ * Returns { line, side } or null.
+ */
+export const mapFindingToDiff = (finding, lineIndex) => {
+  const line = parseInt(finding.line, 10);
+  if (!lineIndex || Number.isNaN(line)) return null;
+
+  if (finding.side === 'LEFT' && lineIndex.left.has(line)) return { line, side: 'LEFT' };
+  if (lineIndex.right.has(line)) return { line, side: 'RIGHT' };
+
+  for (let distance = 1; distance <= MAX_LINE_DISTANCE; distance++) {
+    if (lineIndex.right.has(line - distance)) return { line: line - distance, side: 'RIGHT' };
+    if (lineIndex.right.has(line + distance)) return { line: line + distance, side: 'RIGHT' };
+  }
+  return null;
+};
+
+const formatCommentBody = (finding) => {
+  const heading = `${SEVERITY_ICONS[finding.severity]} **${finding.severity[0].toUpperCase()}${finding.severity.slice(1)} · ${CATEGORY_LABELS[finding.category] || 'Issue'}:** ${finding.title}`;
+  const suggestion = finding.suggestion ? `\n\n**Suggested fix:**\n\`\`\`\n${finding.suggestion}\n\`\`\`` : '';
+  return `${heading}${finding.body ? `\n\n${finding.body}` : ''}${suggestion}`;
+};
+
+/**
+ * Turn raw LLM findings into review comments: normalize, filter by severity,
+ * map onto the diff, drop duplicates and cap the number of comments.
+ * Returns { comments, unmapped, belowThreshold, overLimit }
+ */
+export const prepareReviewComments = (findings, files, { minSeverity, maxComments } = getReviewConfig()) => {
+  const lineIndexes = new Map(files.filter(file => file.patch).map(file => [file.filename, getCommentableLines(file.patch)]));
+  const threshold = SEVERITIES.indexOf(minSeverity);
+
+  const normalized = findings
+    .filter(finding => finding && finding.title)
+    .map(finding => ({
+      path: normalizePath(finding.path),
+      line: finding.line,
+      side: String(finding.side || 'RIGHT').toUpperCase(),
+      severity: normalizeSeverity(finding.severity),
+      category: String(finding.category || '').toLowerCase(),
+      title: String(finding.title).trim(),
+      body: String(finding.body || '').trim(),
+      suggestion: finding.suggestion ? String(finding.suggestion).trim() : ''
+    }));
+
+  const belowThreshold = normalized.filter(finding => SEVERITIES.indexOf(finding.severity) < threshold);
+  const relevant = normalized
+    .filter(finding => SEVERITIES.indexOf(finding.severity) >= threshold)
+    .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+
+  const comments = [];
+  const unmapped = [];
+  const seen = new Set();
+  for (const finding of relevant) {
+    const position = mapFindingToDiff(finding, lineIndexes.get(finding.path));
+    if (!position) {
+      unmapped.push(finding);
+      continue;
+    }
+    const key = `${finding.path}:${position.side}:${position.line}:${finding.title.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    comments.push({ ...finding, ...position, comment_body: formatCommentBody(finding) });
+  }
+
+  return {
+    comments: comments.slice(0, maxComments),
+    unmapped,
+    belowThreshold,
+    overLimit: comments.slice(maxComments)
+  };
+};
+
+const countBySeverity = (findings) => SEVERITIES
+  .slice()
+  .reverse()
+  .map(severity => [severity, findings.filter(finding => finding.severity === severity).length])
+  .filter(([, count]) => count > 0)
+  .map(([severity, count]) => `${count} ${severity}`)
+  .join(', ');
+
+/**
+ * Review summary posted as the review body
+ */
+export const buildReviewBody = ({ comments, unmapped, overLimit, belowThreshold }, { minSeverity, skipped = [], omitted = [], failed = [], filesTruncated = null }) => {
+  const parts = [REVIEW_MARKER, '### 🤖 AI Code Review'];
+
+  parts.push(comments.length > 0
+    ? `${comments.length} inline comment${comments.length === 1 ? '' : 's'} (${countBySeverity(comments)}).`
+    : `No ${minSeverity === 'low' ? '' : `${minSeverity}-or-higher `}issues found in the reviewed changes.`);
+
+  if (unmapped.length > 0) {
+    parts.push(`**Findings outside the diff:**\n${unmapped.map(finding => `- ${SEVERITY_ICONS[finding.severity]} \`${finding.path}${finding.line ? `:${finding.line}` : ''}\` ${finding.title}${finding.body ? ` - ${finding.body}` : ''}`).join('\n')}`);
+  }
+
+  const notes = [];
+  if (overLimit.length > 0) notes.push(`${overLimit.length} more finding${overLimit.length === 1 ? '' : 's'} not posted (comment limit)`);
+  if (belowThreshold.length > 0) notes.push(`${belowThreshold.length} finding${belowThreshold.length === 1 ? '' : 's'} below ${minSeverity} severity not posted`);
+  if (omitted.length > 0) notes.push(`Not reviewed (diff too large): ${omitted.join(', ')}`);
+  if (failed.length > 0) notes.push(`Not reviewed (LLM error): ${failed.join(', ')}`);
+  if (filesTruncated) notes.push(`Only the first ${filesTruncated.returned}${filesTruncated.total ? ` of ${filesTruncated.total}` : ''} changed files were listed by GitHub and reviewed`);
+  if (skipped.length > 0) notes.push(`Skipped (deleted, binary, generated or lockfiles): ${skipped.length} file${skipped.length === 1 ? '' : 's'}`);
+  if (notes.length > 0) parts.push(`<sub>${notes.join(' · ')}</sub>`);
+
+  parts.push('<sub>Generated by PR CoPilot. AI findings can be wrong; treat them as suggestions.</sub>');
+  return parts.join('\n\n');
+};
+
+/**
+ * Payload for POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews
+ */
+export const buildReviewPayload = (comments, body, commitId) => ({
+  commit_id: commitId,
+  event: 'COMMENT',
+  body,
+  comments: comments.map(comment => ({
+    path: comment.path,
+    line: comment.line,
+    side: comment.side,
+    body: comment.comment_body
+  }))
+});
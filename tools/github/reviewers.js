@@ -0,0 +1,266 @@
+/**
+ * Reviewer suggestions from CODEOWNERS and file history
+ */
+
+import { fetchRepositoryFile, GITHUB_API_BASE } from './utils.js';
+import { githubClient } from './client.js';
+
+// Locations GitHub checks for CODEOWNERS, in priority order
+const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+// Limit history lookups so large PRs don't fan out into hundreds of requests
+const MAX_HISTORY_FILES = 5;
+
+const isBot = (login) => /\[bot\]$/i.test(login);
+
+/**
+ * Fetch the repository's CODEOWNERS file, if it has one
+ */
+export const fetchCodeOwners = async (owner, repo, headers, ref) => {
+  for (const path of CODEOWNERS_PATHS) {
+    const file = await fetchRepositoryFile(owner, repo, path, headers, ref);
+    if (file && file.type === 'file') {
+      return { path: file.path, content: file.content };
+    }
+  }
+  return null;
+};
+
+/**
+ * Convert a CODEOWNERS pattern into a regular expression.
+ * Follows the gitignore rules GitHub uses: patterns without a slash (other
+ * than a trailing one) match at any depth, `*` stays within a path segment,
+ * `**` crosses segments, and a match on a directory covers everything in it
+ * (except for `dir/*`, which only covers direct children).
+ */
+export const codeOwnersPatternToRegex = (pattern) => {
+  let source = pattern;
+  const directoryOnly = source.endsWith('/');
+  if (directoryOnly) source = source.slice(0, -1);
+
+  const anchored = source.startsWith('/') || source.includes('/');
+  source = source.replace(/^\//, '');
+
+  const shallowWildcard = source.endsWith('/*');
+
+  let regex = '';
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '*' && source[i + 1] === '*') {
+      if (source[i + 2] === '/') {
+        regex += '(?:.*/)?';
+        i += 2;
+      } else {
+        regex += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const suffix = directoryOnly ? '/.*$' : (shallowWildcard ? '$' : '(?:/.*)?$');
+  return new RegExp(`${prefix}${regex}${suffix}`);
+};
+
+/**
+ * Parse CODEOWNERS content into ordered rules
+ */
+export const parseCodeOwners = (content) => content
+  .split('\n')
+  .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+  .filter(Boolean)
+  .map(line => {
+    const [pattern, ...owners] = line.split(/\s+/);
+    return { pattern, owners, regex: codeOwnersPatternToRegex(pattern) };
+  });
+
+/**
+ * Owners for a file; the last matching rule wins, even when it has no owners
+ */
+export const matchCodeOwners = (rules, filename) => {
+  let matched = null;
+  rules.forEach(rule => {
+    if (rule.regex.test(filename)) matched = rule;
+  });
+  return matched;
+};
+
+/**
+ * Count recent committers to the changed paths on the base branch
+ */
+export const fetchRecentCommitters = async (owner, repo, paths, headers, ref) => {
+  const counts = {};
+
+  for (const path of paths.slice(0, MAX_HISTORY_FILES)) {
+    try {
+      const response = await githubClient.get(`${GITHUB_API_BASE}/repos/${owner}/${repo}/commits`, {
+        headers,
+        params: { path, sha: ref, per_page: 10 }
+      });
+      response.data.forEach(commit => {
+        const login = commit.author?.login;
+        if (!login) return;
+        counts[login] = counts[login] || { commits: 0, paths: new Set() };
+        counts[login].commits += 1;
+        counts[login].paths.add(path);
+      });
+    } catch (error) {
+      console.warn(`Failed to fetch history for ${path}:`, error.message);
+    }
+  }
+
+  return Object.entries(counts)
+    .map(([login, { commits, paths: touched }]) => ({ login, commits, paths: [...touched] }))
+    .sort((a, b) => b.commits - a.commits);
+};
+
+/**
+ * Pick reviewers for the changed files.
+ * CODEOWNERS owners come first; recent committers fill the remaining slots.
+ */
+export const suggestReviewers = ({ owner, rules, files, committers, author, maxReviewers }) => {
+  const excluded = (login) => !login || login.toLowerCase() === (author || '').toLowerCase() || isBot(login);
+  const users = new Map();
+  const teams = new Map();
+  const skippedTeams = new Set();
+
+  files.forEach(filename => {
+    const rule = rules.length > 0 ? matchCodeOwners(rules, filename) : null;
+    if (!rule) return;
+
+    rule.owners.forEach(ownerRef => {
+      if (!ownerRef.startsWith('@')) return; // email owners can't be requested by login
+      const name = ownerRef.slice(1);
+
+      if (name.includes('/')) {
+        const [org, slug] = name.split('/');
+        if (org.toLowerCase() !== owner.toLowerCase()) {
+          skippedTeams.add(name);
+          return;
+        }
+        const entry = teams.get(slug) || { slug, pattern: rule.pattern, files: [] };
+        entry.files.push(filename);
+        teams.set(slug, entry);
+      } else if (!excluded(name)) {
+        const entry = users.get(name) || { login: name, pattern: rule.pattern, files: [] };
+        entry.files.push(filename);
+        users.set(name, entry);
+      }
+    });
+  });
+
+  const selectedUsers = [...users.values()]
+    .sort((a, b) => b.files.length - a.files.length)
+    .slice(0, maxReviewers)
+    .map(entry => ({
+      login: entry.login,
+      source: 'codeowners',
+      reason: `Code owner of ${entry.files.length} changed file(s) via \`${entry.pattern}\``
+    }));
+
+  const selectedTeams = [...teams.values()]
+    .sort((a, b) => b.files.length - a.files.length)
+    .slice(0, maxReviewers)
+    .map(entry => ({
+      slug: entry.slug,
+      source: 'codeowners',
+      reason: `Team owns ${entry.files.length} changed file(s) via \`${entry.pattern}\``
+    }));
+
+  // Fall back to people who recently worked on these paths
+  if (selectedUsers.length + selectedTeams.length < maxReviewers) {
+    committers
+      .filter(committer => !excluded(committer.login) && !selectedUsers.some(user => user.login === committer.login))
+      .slice(0, maxReviewers - selectedUsers.length - selectedTeams.length)
+      .forEach(committer => {
+        selectedUsers.push({
+          login: committer.login,
+          source: 'history',
+          reason: `${committer.commits} recent commit(s) to ${committer.paths.join(', ')}`
+        });
+      });
+  }
+
+  return { users: selectedUsers, teams: selectedTeams, skippedTeams: [...skippedTeams] };
+};
+
+/**
+ * Suggest reviewers for a pull request and request them through the API
+ */
+export const assignReviewers = async ({ owner, repo, pullNumber, author, files, base, headers, maxReviewers = 2 }) => {
+  let rules = [];
+  let codeOwnersPath = null;
+  try {
+    const codeOwners = await fetchCodeOwners(owner, repo, headers, base);
+    if (codeOwners) {
+      rules = parseCodeOwners(codeOwners.content);
+      codeOwnersPath = codeOwners.path;
+    }
+  } catch (error) {
+    console.warn('Failed to fetch CODEOWNERS:', error.message);
+  }
+
+  // Only look at history for files CODEOWNERS doesn't cover
+  const unowned = files.filter(filename => {
+    const rule = rules.length > 0 ? matchCodeOwners(rules, filename) : null;
+    return !rule || rule.owners.length === 0;
+  });
+  const committers = await fetchRecentCommitters(owner, repo, unowned.length > 0 ? unowned : files, headers, base);
+
+  const suggestion = suggestReviewers({ owner, rules, files, committers, author, maxReviewers });
+
+  const result = {
+    codeowners_file: codeOwnersPath,
+    users: suggestion.users,
+    teams: suggestion.teams,
+    skipped_teams: suggestion.skippedTeams,
+    requested: false,
+    error: null
+  };
+
+  if (suggestion.users.length === 0 && suggestion.teams.length === 0) {
+    return result;
+  }
+
+  try {
+    await githubClient.post(`${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pullNumber}/requested_reviewers`, {
+      reviewers: suggestion.users.map(user => user.login),
+      team_reviewers: suggestion.teams.map(team => team.slug)
+    }, { headers });
+    result.requested = true;
+  } catch (error) {
+    console.warn('Failed to request reviewers:', error.message);
+    result.error = error.response?.data?.message || error.message;
+  }
+
+  return result;
+};
+
+/**
+ * Format reviewer assignment for the tool response
+ */
+export const formatReviewerAssignment = (assignment) => {
+  const lines = [];
+  assignment.teams.forEach(team => lines.push(`- **@${team.slug}** (team) - ${team.reason}`));
+  assignment.users.forEach(user => lines.push(`- **@${user.login}** - ${user.reason}`));
+
+  if (lines.length === 0) {
+    lines.push(`- No reviewers found${assignment.codeowners_file ? '' : ' (no CODEOWNERS file and no recent history)'}`);
+  }
+  if (assignment.skipped_teams.length > 0) {
+    lines.push(`- Skipped teams outside this organization: ${assignment.skipped_teams.join(', ')}`);
+  }
+  if (assignment.error) {
+    lines.push(`- ⚠️ Reviewer request failed: ${assignment.error}`);
+  } else if (assignment.requested) {
+    lines.push(`- ✅ Review requested${assignment.codeowners_file ? ` (rules from \`${assignment.codeowners_file}\`)` : ''}`);
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,146 @@
+/**
+ * Rule-based risk and impact assessment
+ *
+ * Path rules (gitignore-style patterns, as in CODEOWNERS) add weight for risky
+ * areas such as migrations, auth code or CI config; diff size, the number of
+ * directories touched and deleted files add more. The total score maps to a
+ * low/medium/high level. Rules can be extended or replaced with PR_RISK_RULES_PATH.
+ */
+
+import { codeOwnersPatternToRegex } from './reviewers.js';
+import { getRiskConfig } from '../../config/prConfig.js';
+
+export const DEFAULT_RISK_RULES = [
+  {
+    id: 'migration',
+    label: 'Database migrations or schema changes',
+    weight: 3,
+    patterns: ['**/migrations/**', '**/migrate/**', '*.sql', 'db/schema.rb', '**/prisma/schema.prisma', '**/alembic/**', '**/flyway/**', '**/liquibase/**']
+  },
+  {
+    id: 'security',
+    label: 'Authentication, authorization or security code',
+    weight: 3,
+    patterns: ['**/auth/**', '*auth*', '**/security/**', '*permission*', '*crypto*', '*session*', '*password*', '*oauth*', '*jwt*']
+  },
+  {
+    id: 'ci',
+    label: 'CI/CD configuration',
+    weight: 2,
+    patterns: ['.github/workflows/**', '.github/actions/**', '.gitlab-ci.yml', 'Jenkinsfile', '.circleci/**', 'azure-pipelines.yml', '.buildkite/**']
+  },
+  {
+    id: 'infrastructure',
+    label: 'Infrastructure and deployment files',
+    weight: 2,
+    patterns: ['Dockerfile*', 'docker-compose*.yml', 'docker-compose*.yaml', '*.tf', '**/terraform/**', '**/k8s/**', '**/kubernetes/**', '**/helm/**', '**/charts/**', 'serverless.yml']
+  },
+  {
+    id: 'dependencies',
+    label: 'Dependency and lockfile changes',
+    weight: 1,
+    patterns: ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'Gemfile.lock', 'poetry.lock', 'Pipfile.lock', 'Cargo.lock', 'go.sum', 'composer.lock']
+  },
+  {
+    id: 'public-api',
+    label: 'Public API surface',
+    weight: 2,
+    patterns: ['**/api/**', '**/routes/**', '**/controllers/**', '*.proto', '*.graphql', '**/openapi*', '**/swagger*', '*.d.ts']
+  }
+];
+
+const LEVEL_ICONS = { low: '🟢', medium: '🟡', high: '🔴' };
+const MAX_LISTED_FILES = 3;
+
+const compileRules = (rules) => rules.map(rule => ({
+  ...rule,
+  regexes: rule.patterns.map(codeOwnersPatternToRegex)
+}));
+
+const plural = (count, singular, pluralForm = `${singular}s`) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+const getDirectory = (filename) => (filename.includes('/') ? filename.slice(0, filename.lastIndexOf('/')) : '.');
+
+/**
+ * Score the changed files. Returns
+ * { score, level, reasons: [{ id, label, weight, files?, detail? }], metrics }
+ */
+export const assessRisk = (filesChanged, config = getRiskConfig()) => {
+  const rules = compileRules(config.extendDefaults ? [...DEFAULT_RISK_RULES, ...config.rules] : config.rules);
+  const reasons = [];
+
+  for (const rule of rules) {
+    const files = filesChanged
+      .map(file => file.filename)
+      .filter(filename => rule.regexes.some(regex => regex.test(filename)));
+    if (files.length > 0) {
+      reasons.push({ id: rule.id, label: rule.label, weight: rule.weight, files });
+    }
+  }
+
+  const additions = filesChanged.reduce((sum, file) => sum + (file.additions || 0), 0);
+  const deletions = filesChanged.reduce((sum, file) => sum + (file.deletions || 0), 0);
+  const linesChanged = additions + deletions;
+  const directories = new Set(filesChanged.map(file => getDirectory(file.filename))).size;
+  const deletedFiles = filesChanged.filter(file => file.status === 'removed').length;
+
+  if (linesChanged >= config.largeDiffLines) {
+    reasons.push({ id: 'diff-size', label: 'Large diff', weight: 3, detail: `${linesChanged} lines changed` });
+  } else if (linesChanged >= config.mediumDiffLines) {
+    reasons.push({ id: 'diff-size', label: 'Sizeable diff', weight: 1, detail: `${linesChanged} lines changed` });
+  }
+
+  if (directories >= config.manyDirectories) {
+    reasons.push({ id: 'spread', label: 'Changes spread across many directories', weight: 2, detail: `${directories} directories touched` });
+  } else if (directories >= Math.ceil(config.manyDirectories / 2)) {
+    reasons.push({ id: 'spread', label: 'Changes span several directories', weight: 1, detail: `${directories} directories touched` });
+  }
+
+  if (deletedFiles > 0) {
+    reasons.push({ id: 'deletions', label: 'Files deleted', weight: deletedFiles >= 5 ? 2 : 1, detail: `${plural(deletedFiles, 'file')} deleted` });
+  }
+
+  const score = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+  const level = score >= config.highScore ? 'high' : score >= config.mediumScore ? 'medium' : 'low';
+
+  return {
+    score,
+    level,
+    reasons,
+    metrics: {
+      files_changed: filesChanged.length,
+      lines_added: additions,
+      lines_deleted: deletions,
+      directories,
+      deleted_files: deletedFiles
+    }
+  };
+};
+
+/**
+ * One-line summary, e.g. "🟡 Medium (score 4)"
+ */
+export const formatRiskLevel = (risk) => `${LEVEL_ICONS[risk.level]} ${risk.level[0].toUpperCase()}${risk.level.slice(1)} (score ${risk.score})`;
+
+/**
+ * Markdown for the "Risk & Impact" section; `notes` are the LLM's reviewer notes
+ */
+export const buildRiskSection = (risk, notes = []) => {
+  const reasons = risk.reasons.map(reason => {
+    const files = reason.files
+      ? `: ${reason.files.slice(0, MAX_LISTED_FILES).map(file => `\`${file}\``).join(', ')}${reason.files.length > MAX_LISTED_FILES ? ` and ${reason.files.length - MAX_LISTED_FILES} more` : ''}`
+      : `: ${reason.detail}`;
+    return `- **${reason.label}** (+${reason.weight})${files}`;
+  });
+
+  const { metrics } = risk;
+  return `**Risk Level:** ${formatRiskLevel(risk)}
+
+**Why:**
+${reasons.length > 0 ? reasons.join('\n') : '- No risky areas detected'}
+
+**Impact:** ${plural(metrics.files_changed, 'file')} in ${plural(metrics.directories, 'directory', 'directories')}, +${metrics.lines_added}/-${metrics.lines_deleted} lines${metrics.deleted_files > 0 ? `, ${metrics.deleted_files} deleted` : ''}${notes.length > 0 ? `
+
+**Reviewer Notes:**
+${notes.map(note => `- ${note}`).join('\n')}` : ''}`;
+};
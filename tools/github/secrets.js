@@ -0,0 +1,184 @@
+/**
+ * Pre-flight secret scan over the added lines of a comparison
+ *
+ * High-confidence findings (cloud keys, tokens, private keys, credentials in
+ * connection strings, committed .env files) block PR creation; softer ones
+ * (JWTs, generic secret assignments, high-entropy strings) are reported as
+ * warnings. A finding is skipped when its line (or the line above) carries a
+ * `pr-copilot:allow-secret` comment, or when it matches PR_SECRET_ALLOWLIST_PATH.
+ */
+
+import { codeOwnersPatternToRegex } from './reviewers.js';
+import { getFileKind } from './diff.js';
+import { getSecretScanConfig } from '../../config/prConfig.js';
+
+const IGNORE_COMMENT = /pr-copilot:\s*allow-secret/i;
+const PLACEHOLDER = /^(\$\{.*\}|\$\w+|<.*>|%.*%|\{\{.*\}\}|x{3,}|\*{3,}|\.{3,}|changeme|change_me|password|secret|your[_-].*|example.*|dummy.*|test.*|fake.*)$/i;
+const ENV_FILE = /(^|\/)\.env(\.[\w-]+)?$/;
+const ENV_TEMPLATE = /\.(example|sample|template|dist|defaults?)$/i;
+
+export const SECRET_RULES = [
+  { id: 'aws-access-key', label: 'AWS access key ID', confidence: 'high', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { id: 'aws-secret-key', label: 'AWS secret access key', confidence: 'high', regex: /aws.{0,20}(?:secret|private).{0,20}['"=:\s]([0-9a-zA-Z/+]{40})\b/i, group: 1 },
+  { id: 'github-token', label: 'GitHub token', confidence: 'high', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/ },
+  { id: 'slack-token', label: 'Slack token', confidence: 'high', regex: /\bxox[abposr]-[0-9A-Za-z-]{10,}\b/ },
+  { id: 'stripe-key', label: 'Stripe secret key', confidence: 'high', regex: /\b(?:sk|rk)_live_[0-9a-zA-Z]{20,}\b/ },
+  { id: 'google-api-key', label: 'Google API key', confidence: 'high', regex: /\bAIza[0-9A-Za-z_-]{35}\b/ },
+  { id: 'private-key', label: 'Private key block', confidence: 'high', regex: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/ },
+  { id: 'connection-string', label: 'Connection string with password', confidence: 'high', regex: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|redis|rediss|amqps?|mssql|sqlserver):\/\/[^\s:@/'"]+:([^\s@/'"]+)@/i, group: 1 },
+  { id: 'jwt', label: 'JSON Web Token', confidence: 'medium', regex: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/ },
+  { id: 'generic-secret', label: 'Hardcoded secret', confidence: 'medium', regex: /(?:api[_-]?key|secret|token|passw(?:or)?d|credential)s?["']?\s*[:=]\s*["']([^"'\s]{8,})["']/i, group: 1 }
+];
+
+const HIGH_ENTROPY_CANDIDATE = /["'`]([A-Za-z0-9+/=_-]{24,})["'`]/g;
+
+/**
+ * Shannon entropy in bits per character
+ */
+const entropy = (text) => {
+  const counts = {};
+  for (const char of text) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / text.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+};
+
+/**
+ * Added lines of a unified diff patch with their line numbers in the new file
+ */
+export const getAddedLines = (patch) => {
+  const added = [];
+  let lineNumber = 0;
+  for (const line of (patch || '').split('\n')) {
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      lineNumber = parseInt(hunk[1], 10);
+    } else if (line.startsWith('+')) {
+      added.push({ line: lineNumber, text: line.slice(1) });
+      lineNumber++;
+    } else if (line.startsWith(' ')) {
+      lineNumber++;
+    }
+  }
+  return added;
+};
+
+/**
+ * Mask a secret for reports: keep the first 4 characters
+ */
+const redact = (value) => `${value.slice(0, 4)}${'*'.repeat(Math.min(Math.max(value.length - 4, 4), 16))}`;
+
+const isAllowed = (finding, allowlist) => allowlist.pathRegexes.some(regex => regex.test(finding.file))
+  || allowlist.valueRegexes.some(regex => regex.test(finding.match))
+  || allowlist.rules.includes(finding.rule);
+
+/**
+ * Scan one file's added lines
+ */
+const scanFile = (file, config) => {
+  const findings = [];
+  const lines = getAddedLines(file.patch);
+
+  if (ENV_FILE.test(file.filename) && !ENV_TEMPLATE.test(file.filename) && file.status !== 'removed') {
+    const assignment = lines.find(({ text }) => /^\s*(?:export\s+)?[A-Za-z_][A-Za-z0-9_]*\s*=\s*\S/.test(text) && !IGNORE_COMMENT.test(text));
+    if (assignment) {
+      findings.push({ rule: 'env-file', label: 'Environment file with values', confidence: 'high', file: file.filename, line: assignment.line, match: assignment.text.split('=')[0].trim() });
+    }
+  }
+
+  lines.forEach(({ line, text }, index) => {
+    const previous = lines[index - 1];
+    if (IGNORE_COMMENT.test(text) || (previous && previous.line === line - 1 && IGNORE_COMMENT.test(previous.text))) return;
+
+    const matchedRanges = [];
+    for (const rule of SECRET_RULES) {
+      const match = text.match(rule.regex);
+      if (!match) continue;
+      const value = match[rule.group || 0];
+      if (PLACEHOLDER.test(value)) continue;
+      matchedRanges.push(value);
+      findings.push({ rule: rule.id, label: rule.label, confidence: rule.confidence, file: file.filename, line, match: value });
+    }
+
+    for (const [, candidate] of text.matchAll(HIGH_ENTROPY_CANDIDATE)) {
+      if (matchedRanges.some(value => value.includes(candidate) || candidate.includes(value))) continue;
+      if (!/[0-9]/.test(candidate) || !/[a-zA-Z]/.test(candidate)) continue;
+      if (entropy(candidate) < config.entropyThreshold) continue;
+      findings.push({ rule: 'high-entropy', label: 'High-entropy string', confidence: 'medium', file: file.filename, line, match: candidate });
+    }
+  });
+
+  return findings;
+};
+
+// Only lockfile integrity hashes and binaries are left out; generated and vendored
+// files (dist/, *.min.js, ...) can hold a secret as well as any source file
+const isExcluded = (file) => !ENV_FILE.test(file.filename) && getFileKind(file.filename) !== null;
+
+// Files GitHub sent without a patch (diff too large to render) cannot be scanned
+const isUnscanned = (file) => !file.patch && file.status !== 'removed' && file.additions > 0 && !isExcluded(file);
+
+/**
+ * Scan the added lines of every changed file.
+ * Returns { blocking, warnings, unscanned } with findings as { rule, label, confidence, file, line, preview }
+ * and the names of text files that had no patch to scan.
+ */
+export const scanForSecrets = (filesChanged, config = getSecretScanConfig()) => {
+  const allowlist = {
+    pathRegexes: config.allowlist.paths.map(codeOwnersPatternToRegex),
+    valueRegexes: config.allowlist.patterns.map(pattern => new RegExp(pattern)),
+    rules: config.allowlist.rules
+  };
+
+  const findings = filesChanged
+    .filter(file => file.patch && !isExcluded(file))
+    .flatMap(file => scanFile(file, config))
+    .filter(finding => !isAllowed(finding, allowlist))
+    .map(({ match, ...finding }) => ({ ...finding, preview: finding.rule === 'env-file' ? match : redact(match) }));
+
+  return {
+    blocking: findings.filter(finding => finding.confidence === 'high'),
+    warnings: findings.filter(finding => finding.confidence !== 'high'),
+    unscanned: filesChanged.filter(isUnscanned).map(file => file.filename)
+  };
+};
+
+/**
+ * Format findings as a markdown list with file and line references
+ */
+export const formatSecretFindings = (findings) => findings
+  .map(finding => `- **${finding.label}** in \`${finding.file}:${finding.line}\` (${finding.preview})`)
+  .join('\n');
+
+/**
+ * Scan a comparison's added lines for secrets. `unscanned` (files without a patch) and
+ * `truncated` (files GitHub did not return) mark a scan that could not see every change;
+ * `unavailable` marks one that saw nothing because the comparison could not be fetched.
+ */
+export const runSecretScan = (comparison, config = getSecretScanConfig()) => {
+  if (config.mode === 'off') return { mode: 'off', blocking: [], warnings: [], unscanned: [], truncated: false, unavailable: false };
+  if (!comparison) {
+    console.warn('Secret scan skipped: no comparison to scan');
+    return { mode: config.mode, blocking: [], warnings: [], unscanned: [], truncated: false, unavailable: true };
+  }
+  const { blocking, warnings, unscanned } = scanForSecrets(comparison.files || [], config);
+  const truncated = Boolean(comparison.truncation?.files);
+  [...blocking, ...warnings].forEach(finding => console.warn(`Possible secret (${finding.rule}) in ${finding.file}:${finding.line}`));
+  if (unscanned.length > 0 || truncated) console.warn(`Secret scan incomplete: ${unscanned.length} file(s) without a patch${truncated ? ', file list truncated' : ''}`);
+  return { mode: config.mode, blocking, warnings, unscanned, truncated, unavailable: false };
+};
+
+/**
+ * Why a scan in block mode stops the run before the LLM sees the diff or anything is written (null to go ahead)
+ */
+export const getSecretScanError = (secretScan, comparison) => {
+  if (secretScan.mode !== 'block') return null;
+  if (!comparison) {
+    return 'Could not fetch the comparison to scan it for secrets. Retry, or set PR_SECRET_SCAN=warn to skip the check.';
+  }
+  if (secretScan.blocking.length > 0) {
+    return `The changes look like they contain secrets. Remove them (and rotate them), or mark false positives with a \`pr-copilot:allow-secret\` comment:\n${formatSecretFindings(secretScan.blocking)}`;
+  }
+  return null;
+};
@@ -0,0 +1,190 @@
+/**
+ * AI-owned description sections marked with hidden HTML comments
+ *
+ * Every generated section is wrapped in start/end markers that carry a hash of
+ * the generated content. When the description is regenerated, a section whose
+ * content still matches its hash is replaced; a section a human has edited no
+ * longer matches and is left alone, as is everything outside the markers.
+ */
+
+import { createHash } from 'crypto';
+
+const MARKER_PATTERN = /<!-- pr-copilot:start id="([^"]+)" hash="([0-9a-f]+)" -->\n?([\s\S]*?)\n?<!-- pr-copilot:end id="\1" -->/g;
+
+/**
+ * Descriptions edited in the GitHub web UI come back with \r\n line endings
+ */
+export const normalizeLineEndings = (text) => (text || '').replace(/\r\n?/g, '\n');
+
+const hashContent = (content) => createHash('sha256').update(normalizeLineEndings(content).trim()).digest('hex').slice(0, 12);
+
+/**
+ * Wrap generated content in AI section markers
+ */
+export const wrapAiSection = (id, content) => {
+  const text = (content || '').trim();
+  return `<!-- pr-copilot:start id="${id}" hash="${hashContent(text)}" -->\n${text}\n<!-- pr-copilot:end id="${id}" -->`;
+};
+
+/**
+ * Find the AI sections in a description (indexes refer to the body with \n line endings)
+ */
+export const parseAiSections = (body) => {
+  const sections = [];
+  for (const match of normalizeLineEndings(body).matchAll(MARKER_PATTERN)) {
+    const [block, id, hash, content] = match;
+    sections.push({
+      id,
+      block,
+      content,
+      index: match.index,
+      edited: hashContent(content) !== hash
+    });
+  }
+  return sections;
+};
+
+// A markdown heading line such as "## Figma Links:" or "   ### Key Changes:"
+const HEADING_LINE = /^[ \t]*#{1,6} .*$/gm;
+
+/**
+ * Where a section's own heading starts: the last heading between `floor` and the section
+ * when only whitespace separates the two, otherwise the section itself
+ */
+const findSectionStart = (body, index, floor) => {
+  const headings = [...body.slice(floor, index).matchAll(HEADING_LINE)];
+  const heading = headings[headings.length - 1];
+  if (!heading) return index;
+  const headingEnd = floor + heading.index + heading[0].length;
+  return body.slice(headingEnd, index).trim() === '' ? floor + heading.index : index;
+};
+
+const sectionEnd = (section) => section.index + section.block.length;
+
+/**
+ * Merge a freshly generated description into an existing one.
+ * Unedited AI sections are replaced, or removed with their heading when the new generation
+ * no longer has them; edited ones and human text are kept. AI sections that did not exist
+ * before are inserted with their heading after the section that precedes them in the new layout.
+ */
+export const mergeAiSections = (rawExistingBody, rawGeneratedBody, { overwriteUnmarked = false } = {}) => {
+  const existingBody = normalizeLineEndings(rawExistingBody);
+  const generatedBody = normalizeLineEndings(rawGeneratedBody);
+  const existingSections = parseAiSections(existingBody);
+  const generatedSections = parseAiSections(generatedBody);
+
+  if (existingSections.length === 0) {
+    if (overwriteUnmarked || !existingBody.trim()) {
+      return { body: generatedBody, updated: generatedSections.map(s => s.id), preserved: [], added: [], removed: [], unmarked: true };
+    }
+    return {
+      body: `${existingBody.trimEnd()}\n\n---\n\n${generatedBody}`,
+      updated: [],
+      preserved: [],
+      added: generatedSections.map(s => s.id),
+      removed: [],
+      unmarked: true
+    };
+  }
+
+  const generatedById = new Map(generatedSections.map(section => [section.id, section]));
+  const updated = [];
+  const preserved = [];
+  const removed = [];
+
+  // Replace and remove from the end so earlier indexes stay valid
+  let body = existingBody;
+  [...existingSections].reverse().forEach((section, reverseIndex) => {
+    const replacement = generatedById.get(section.id);
+    if (section.edited) {
+      preserved.unshift(section.id);
+      return;
+    }
+    if (replacement) {
+      body = body.slice(0, section.index) + replacement.block + body.slice(sectionEnd(section));
+      updated.unshift(section.id);
+      return;
+    }
+    const previous = existingSections[existingSections.length - reverseIndex - 2];
+    const start = findSectionStart(body, section.index, previous ? sectionEnd(previous) : 0);
+    body = `${body.slice(0, start).replace(/\n+$/, '')}\n\n${body.slice(sectionEnd(section)).replace(/^\n+/, '')}`;
+    removed.unshift(section.id);
+  });
+
+  const existingIds = new Set(existingSections.map(section => section.id));
+  const added = [];
+  generatedSections.forEach((section, index) => {
+    if (existingIds.has(section.id)) return;
+    const previous = generatedSections[index - 1];
+    const heading = generatedBody.slice(findSectionStart(generatedBody, section.index, previous ? sectionEnd(previous) : 0), section.index);
+    const current = parseAiSections(body);
+    // Place it after the closest earlier section of the new layout that the body has
+    const anchor = generatedSections.slice(0, index).reverse()
+      .map(candidate => current.find(existing => existing.id === candidate.id))
+      .find(Boolean);
+    if (anchor) {
+      body = `${body.slice(0, sectionEnd(anchor))}\n\n${heading}${section.block}${body.slice(sectionEnd(anchor))}`;
+    } else {
+      const first = current[0];
+      const start = first ? findSectionStart(body, first.index, 0) : body.length;
+      body = `${body.slice(0, start)}${heading}${section.block}\n\n${body.slice(start)}`;
+    }
+    existingIds.add(section.id);
+    added.push(section.id);
+  });
+
+  return { body, updated, preserved, added, removed, unmarked: false };
+};
+
+/**
+ * Line diff between two descriptions, with a few lines of context around each change
+ */
+export const createLineDiff = (oldText, newText, context = 2) => {
+  const a = normalizeLineEndings(oldText).split('\n');
+  const b = normalizeLineEndings(newText).split('\n');
+
+  // Longest common subsequence table
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: '-', text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: '+', text: b[j] });
+      j++;
+    }
+  }
+
+  const changed = lines.map((line, index) => (line.type !== ' ' ? index : -1)).filter(index => index !== -1);
+  if (changed.length === 0) return '';
+
+  const visible = new Set();
+  changed.forEach(index => {
+    for (let k = Math.max(0, index - context); k <= Math.min(lines.length - 1, index + context); k++) {
+      visible.add(k);
+    }
+  });
+
+  const output = [];
+  let previous = -1;
+  [...visible].sort((x, y) => x - y).forEach(index => {
+    if (previous !== -1 && index > previous + 1) output.push('...');
+    output.push(`${lines[index].type} ${lines[index].text}`);
+    previous = index;
+  });
+
+  return output.join('\n');
+};
@@ -0,0 +1,363 @@
+/**
+ * Split suggestions for oversized changes
+ *
+ * When a comparison exceeds the PR_SPLIT_* thresholds, the changed files are
+ * clustered by module (directory, descending into large modules), tests are
+ * kept with the code they cover and small modules are merged with the modules
+ * they import or sit next to. The clusters are ordered into a stack: build and
+ * dependency changes first, then migrations, then code in import order, then docs.
+ */
+
+import { posix } from 'path';
+import { analyzeTestCoverage } from './testCoverage.js';
+import { codeOwnersPatternToRegex } from './reviewers.js';
+import { fixTitle, inferTitleType } from './title.js';
+import { getSplitConfig, getTitleConfig } from '../../config/prConfig.js';
+
+// Directories that group modules rather than being one (packages/web, src/components, ...)
+const CONTAINER_DIRECTORIES = ['packages', 'apps', 'services', 'libs', 'modules', 'plugins', 'src', 'lib', 'app', 'cmd', 'internal', 'pkg'];
+const MAX_EXTRA_DEPTH = 4;
+const MAX_LISTED_FILES = 8;
+
+const CATEGORIES = [
+  {
+    id: 'dependencies',
+    rank: 0,
+    patterns: ['package.json', 'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'go.mod', 'go.sum', 'requirements*.txt', 'pyproject.toml', 'poetry.lock', 'Pipfile', 'Pipfile.lock', 'Gemfile', 'Gemfile.lock', 'Cargo.toml', 'Cargo.lock', 'composer.json', 'composer.lock']
+  },
+  {
+    id: 'build',
+    rank: 0,
+    patterns: ['.github/**', '.gitlab-ci.yml', '.circleci/**', 'Jenkinsfile', 'Dockerfile*', 'docker-compose*', 'Makefile', 'tsconfig*.json', '*.config.js', '*.config.ts', '*.config.mjs', '*.config.cjs', '.eslintrc*', '.prettierrc*', '.babelrc*', '.editorconfig', '.gitignore']
+  },
+  {
+    id: 'migration',
+    rank: 1,
+    patterns: ['**/migrations/**', '**/migrate/**', '*.sql', 'db/schema.rb', '**/prisma/schema.prisma']
+  },
+  {
+    id: 'docs',
+    rank: 3,
+    patterns: ['*.md', '*.mdx', '*.rst', '/docs/**', '/doc/**', 'LICENSE*']
+  }
+].map(category => ({ ...category, regexes: category.patterns.map(codeOwnersPatternToRegex) }));
+
+const CODE_RANK = 2;
+
+const IMPORT_PATTERNS = [
+  /\bfrom\s+['"]([^'"]+)['"]/g,
+  /\bimport\s+['"]([^'"]+)['"]/g,
+  /\b(?:require|import)\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /^\s*from\s+(\.*[\w.]+)\s+import\b/gm,
+  /^\s*import\s+([\w.]+)\s*$/gm
+];
+
+const getLines = (file) => (file.additions || 0) + (file.deletions || 0);
+
+const sumLines = (files) => files.reduce((sum, file) => sum + getLines(file), 0);
+
+const stripExtension = (filename) => filename.replace(/\.[^./]+$/, '');
+
+const plural = (count, singular, pluralForm = `${singular}s`) => `${count} ${count === 1 ? singular : pluralForm}`;
+
+const getCategory = (filename) => CATEGORIES.find(category => category.regexes.some(regex => regex.test(filename)))?.id || 'code';
+
+const getRank = (category) => CATEGORIES.find(({ id }) => id === category)?.rank ?? CODE_RANK;
+
+/**
+ * Module a file belongs to: container directories plus one more level, e.g.
+ * packages/web/src/App.tsx -> packages/web, src/components/Button.tsx -> src/components
+ */
+export const getModuleKey = (filename, extraDepth = 0) => {
+  const dirs = filename.split('/').slice(0, -1);
+  if (dirs.length === 0) return '.';
+  let depth = 0;
+  while (depth < dirs.length - 1 && CONTAINER_DIRECTORIES.includes(dirs[depth])) depth++;
+  return dirs.slice(0, Math.min(depth + 1 + extraDepth, dirs.length)).join('/');
+};
+
+/**
+ * Import specifiers on the added and context lines of a patch
+ */
+const extractImports = (patch) => {
+  const code = (patch || '')
+    .split('\n')
+    .filter(line => line.startsWith('+') || line.startsWith(' '))
+    .map(line => line.slice(1))
+    .join('\n');
+  return [...new Set(IMPORT_PATTERNS.flatMap(pattern => [...code.matchAll(pattern)].map(match => match[1])))];
+};
+
+/**
+ * Index changed files by path without extension (and by directory for index/__init__ files)
+ */
+const buildFileIndex = (files) => {
+  const index = new Map();
+  for (const { filename } of files) {
+    const stem = stripExtension(filename);
+    index.set(stem, filename);
+    if (/\/(index|__init__)$/.test(stem) && !index.has(posix.dirname(stem))) {
+      index.set(posix.dirname(stem), filename);
+    }
+  }
+  return index;
+};
+
+/**
+ * Changed file an import specifier points to, or null
+ */
+const resolveImport = (specifier, fromFile, index) => {
+  const dir = posix.dirname(fromFile);
+
+  // JS/TS relative imports
+  if (/^\.\.?(\/|$)/.test(specifier)) {
+    const target = posix.join(dir, specifier);
+    return index.get(target) || index.get(stripExtension(target)) || null;
+  }
+
+  // Python relative imports: from .models import x, from ..utils.dates import y
+  const pythonRelative = specifier.match(/^(\.+)([\w.]*)$/);
+  if (pythonRelative) {
+    const base = posix.join(dir, ...Array(pythonRelative[1].length - 1).fill('..'));
+    return index.get(posix.join(base, pythonRelative[2].replace(/\./g, '/'))) || null;
+  }
+
+  // Absolute module paths (Python packages, Go packages, path aliases); bare package names are skipped
+  if (!specifier.includes('/') && !specifier.includes('.')) return null;
+  const path = specifier.includes('/') ? specifier.replace(/^[@~]\//, '') : specifier.replace(/\./g, '/');
+  for (const [stem, filename] of index) {
+    if (stem === path || stem.endsWith(`/${path}`) || posix.dirname(stem).endsWith(`/${path}`)) return filename;
+  }
+  return null;
+};
+
+/**
+ * Group files by module, descending a directory level for modules that are too large on their own
+ */
+const clusterByModule = (entries, config, extraDepth = 0) => {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = getModuleKey(entry.keyFile, extraDepth);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  return [...groups.entries()].flatMap(([key, group]) => {
+    const files = group.map(entry => entry.file);
+    const tooLarge = sumLines(files) > config.targetLines * 2 || files.length > config.maxFiles;
+    const canDescend = group.some(entry => getModuleKey(entry.keyFile, extraDepth + 1) !== key);
+    if (tooLarge && canDescend && extraDepth < MAX_EXTRA_DEPTH) {
+      return clusterByModule(group, config, extraDepth + 1);
+    }
+    return [{ modules: [key], category: 'code', files }];
+  });
+};
+
+const getParent = (moduleKey) => (moduleKey.includes('/') ? moduleKey.slice(0, moduleKey.lastIndexOf('/')) : '.');
+
+/**
+ * Merge modules below a quarter of the target size into a module they import
+ * (or are imported by), else into a sibling module, as long as the result stays within the target
+ */
+const mergeSmallClusters = (clusters, dependsOn, config) => {
+  const minLines = Math.floor(config.targetLines / 4);
+  let merged = true;
+  while (merged) {
+    merged = false;
+    const small = clusters
+      .filter(cluster => cluster.category === 'code' && sumLines(cluster.files) < minLines)
+      .sort((a, b) => sumLines(a.files) - sumLines(b.files));
+
+    for (const cluster of small) {
+      const fits = (other) => other !== cluster && other.category === 'code'
+        && sumLines(other.files) + sumLines(cluster.files) <= config.targetLines;
+      const bySize = (a, b) => sumLines(a.files) - sumLines(b.files);
+      const related = clusters.filter(other => fits(other)
+        && (dependsOn(cluster).has(other) || dependsOn(other).has(cluster))).sort(bySize);
+      const siblings = clusters.filter(other => fits(other)
+        && other.modules.some(module => cluster.modules.some(own => getParent(own) === getParent(module)))).sort(bySize);
+      const target = related[0] || siblings[0];
+      if (target) {
+        target.modules.push(...cluster.modules);
+        target.files.push(...cluster.files);
+        clusters.splice(clusters.indexOf(cluster), 1);
+        merged = true;
+        break;
+      }
+    }
+  }
+  return clusters;
+};
+
+/**
+ * Order clusters so every cluster comes after the ones it imports; ties go by
+ * category (build/dependencies, migrations, code, docs) and then by name.
+ * Import cycles are broken at the cluster with the fewest pending dependencies.
+ */
+const orderClusters = (clusters, dependsOn) => {
+  const compare = (a, b) => getRank(a.category) - getRank(b.category) || a.modules[0].localeCompare(b.modules[0]);
+  const ordered = [];
+  const remaining = [...clusters];
+
+  while (remaining.length > 0) {
+    const pending = (cluster) => [...dependsOn(cluster)].filter(dep => !ordered.includes(dep)).length;
+    const ready = remaining.filter(cluster => pending(cluster) === 0);
+    const candidates = ready.length > 0
+      ? ready
+      : remaining.filter(cluster => pending(cluster) === Math.min(...remaining.map(pending)));
+    const next = candidates.sort(compare)[0];
+    ordered.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+  }
+
+  return ordered;
+};
+
+const describeModules = (modules) => {
+  const names = [...new Set(modules.map(module => (module === '.' ? 'root files' : module.split('/').pop())))];
+  if (names.length <= 3) return names.join(names.length === 2 ? ' and ' : ', ').replace(/, ([^,]+)$/, ' and $1');
+  return `${names.slice(0, 2).join(', ')} and ${names.length - 2} more modules`;
+};
+
+const getSubject = (cluster) => {
+  if (cluster.category === 'dependencies') return 'Update dependencies';
+  if (cluster.category === 'build') return 'Update build and CI configuration';
+  if (cluster.category === 'migration') {
+    return cluster.files.every(file => file.status === 'added') ? 'Add database migrations' : 'Update database migrations';
+  }
+  if (cluster.category === 'docs') return 'Update documentation';
+
+  const verb = cluster.files.every(file => file.status === 'added') ? 'Add'
+    : cluster.files.every(file => file.status === 'removed') ? 'Remove'
+      : 'Update';
+  return `${verb} ${describeModules(cluster.modules)}`;
+};
+
+const getTitleType = (cluster, codeType) => ({
+  dependencies: 'build',
+  build: 'ci',
+  migration: codeType || 'feat',
+  docs: 'docs'
+}[cluster.category] || codeType);
+
+const getRationale = (cluster, dependencies, cyclic, testCount) => {
+  const reasons = {
+    dependencies: 'Dependency changes the other PRs rely on; review and merge them first',
+    build: 'Build and CI configuration, reviewed on its own before the code that needs it',
+    migration: 'Schema changes land before the code that uses them',
+    docs: 'Documentation only; merge last so it describes the final state'
+  };
+  const parts = [reasons[cluster.category] || `Self-contained changes in ${cluster.modules.map(module => (module === '.' ? 'the repository root' : `\`${module}\``)).join(', ')}`];
+  if (testCount > 0) parts.push(`includes ${plural(testCount, 'test file')} for this code`);
+  if (dependencies.length > 0) parts.push(`imports code from PR ${dependencies.map(order => `#${order}`).join(', ')}`);
+  if (cyclic.length > 0) parts.push(`has circular imports with PR ${cyclic.map(order => `#${order}`).join(', ')}, so merge them together if one can't land first`);
+  return parts.join('; ');
+};
+
+/**
+ * Whether a change is too large to review in one PR
+ */
+export const detectOversizedChange = (filesChanged, config = getSplitConfig()) => {
+  const linesChanged = sumLines(filesChanged);
+  const reasons = [];
+  if (filesChanged.length > config.maxFiles) reasons.push(`${filesChanged.length} files changed (threshold ${config.maxFiles})`);
+  if (linesChanged > config.maxLines) reasons.push(`${linesChanged} lines changed (threshold ${config.maxLines})`);
+  return { oversized: reasons.length > 0, reasons, files_changed: filesChanged.length, lines_changed: linesChanged };
+};
+
+/**
+ * Propose an ordered stack of smaller PRs. Returns null when the change is
+ * within the thresholds (unless `force`), otherwise
+ * { oversized, reasons, files_changed, lines_changed, pull_requests: [{ order, title, category, modules, files, lines_changed, depends_on, rationale }] }
+ */
+export const suggestSplit = (filesChanged, { commits = [], head = '', ticket = null, force = false } = {}, config = getSplitConfig()) => {
+  const size = detectOversizedChange(filesChanged, config);
+  if (!force && (!config.enabled || !size.oversized)) return null;
+
+  // Tests travel with the source file they cover
+  const coverage = analyzeTestCoverage(filesChanged);
+  const testOwner = new Map(coverage.covered.flatMap(({ source, tests }) => tests.map(test => [test, source])));
+
+  const codeEntries = [];
+  const byCategory = new Map();
+  for (const file of filesChanged) {
+    const owner = testOwner.get(file.filename);
+    const category = owner ? 'code' : getCategory(file.filename);
+    if (category === 'code') {
+      codeEntries.push({ file, keyFile: owner || file.filename });
+    } else {
+      if (!byCategory.has(category)) byCategory.set(category, { modules: [category], category, files: [] });
+      byCategory.get(category).files.push(file);
+    }
+  }
+
+  const clusters = [...byCategory.values(), ...clusterByModule(codeEntries, config)];
+
+  // Import edges between changed files
+  const index = buildFileIndex(filesChanged);
+  const fileImports = new Map(filesChanged.map(file => [
+    file.filename,
+    extractImports(file.patch)
+      .map(specifier => resolveImport(specifier, file.filename, index))
+      .filter(target => target && target !== file.filename)
+  ]));
+  const dependsOn = (cluster) => {
+    const deps = new Set();
+    if (cluster.category !== 'code') return deps;
+    for (const file of cluster.files) {
+      for (const target of fileImports.get(file.filename) || []) {
+        const other = clusters.find(candidate => candidate !== cluster && candidate.category === 'code'
+          && candidate.files.some(candidateFile => candidateFile.filename === target));
+        if (other) deps.add(other);
+      }
+    }
+    return deps;
+  };
+
+  mergeSmallClusters(clusters, dependsOn, config);
+  const ordered = orderClusters(clusters, dependsOn);
+
+  const titleConfig = getTitleConfig();
+  const codeType = inferTitleType({ commits, head }, titleConfig);
+  const pullRequests = ordered.map((cluster, position) => {
+    const order = position + 1;
+    const deps = [...dependsOn(cluster)].map(dep => ordered.indexOf(dep) + 1).sort((a, b) => a - b);
+    const subject = `${getSubject(cluster)} (${order}/${ordered.length})`;
+    return {
+      order,
+      title: fixTitle(subject, { ticket, type: getTitleType(cluster, codeType) }, titleConfig).title,
+      category: cluster.category,
+      modules: cluster.modules,
+      files: cluster.files.map(file => file.filename).sort(),
+      lines_changed: sumLines(cluster.files),
+      depends_on: deps.filter(dep => dep < order),
+      rationale: getRationale(
+        cluster,
+        deps.filter(dep => dep < order),
+        deps.filter(dep => dep > order),
+        cluster.files.filter(file => testOwner.has(file.filename)).length
+      )
+    };
+  });
+
+  return { ...size, pull_requests: pullRequests };
+};
+
+/**
+ * Markdown for tool responses
+ */
+export const formatSplitSuggestion = (split) => {
+  const header = split.oversized
+    ? `**Oversized change:** ${split.reasons.join('; ')}. Suggested stack of ${plural(split.pull_requests.length, 'PR')}:`
+    : `Suggested stack of ${plural(split.pull_requests.length, 'PR')}:`;
+
+  const items = split.pull_requests.map(pr => {
+    const files = pr.files.slice(0, MAX_LISTED_FILES).map(file => `\`${file}\``).join(', ');
+    const more = pr.files.length > MAX_LISTED_FILES ? ` and ${pr.files.length - MAX_LISTED_FILES} more` : '';
+    return `${pr.order}. **${pr.title}** (${plural(pr.files.length, 'file')}, ${plural(pr.lines_changed, 'line')})
+   ${pr.rationale}
+   Files: ${files}${more}`;
+  });
+
+  return `${header}\n\n${items.join('\n')}`;
+};
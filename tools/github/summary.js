@@ -2,8 +2,13 @@
  * LLM integration for GitHub tools
  */
 
-import { getLLMClient } from "../../config/aiConfig.js";
-import { get_jira_ticket_details } from "../jira/ticketDetails.js";
+import { z } from "zod";
+import { getLLMClient, getDiffBudgetConfig } from "../../config/aiConfig.js";
+import { getTrackerLabel } from "../trackers/index.js";
+import { planDiffContext, estimateTokens, truncatePatch } from "./diff.js";
+import { matchSectionsByHeading } from "./template.js";
+import { formatCommitsForPrompt } from "./commits.js";
+import { invokeWithCache } from "./generationCache.js";
 
 /**
  * Categorize file types for better context
@@ -67,57 +72,246 @@ const getFileTypeCategory = (extension) => {
 };
 
 /**
- * Generate detailed summary and motivation context using AI LLM
+ * Summarize one chunk of a large diff (map step)
  */
-export const generateDetailedSummary = async (filesChanged, stats, head, base, jiraTickets, customBody = "") => {
-  try {
-    // Use existing AI LLM client
-    const llm = getLLMClient();
+const summarizeDiffChunk = async (llm, chunk, head, base, cacheOptions, generation) => {
+  const chunkPrompt = `You are an expert software engineer assistant. Summarize the following part of a larger pull request diff (${head} → ${base}).
 
-    // Prepare context for LLM with more detailed file analysis
-    const fileSummary = filesChanged.map(file => {
-      const ext = file.filename.split('.').pop() || 'no-extension';
-      const fileType = getFileTypeCategory(ext);
-      return `- ${file.filename} (${file.status}, ${fileType}): +${file.additions}/-${file.deletions} lines`;
-    }).join('\n');
+Area: ${chunk.label}
 
-    // Fetch JIRA ticket details for enhanced context
-    let jiraContext = 'No JIRA tickets found in branch name';
-    let jiraTicketDetails = '';
-    
-    if (jiraTickets.length > 0) {
-      jiraContext = `JIRA Tickets: ${jiraTickets.join(', ')}`;
-      
-      // Fetch details for the first JIRA ticket (most relevant)
-      const primaryTicket = jiraTickets[0];
-      try {
-        const jiraResult = await get_jira_ticket_details.invoke({ ticketId: primaryTicket });
-        if (jiraResult.success) {
-          const ticket = jiraResult.ticket;
-          jiraTicketDetails = `
-JIRA Ticket Details (${ticket.key}):
+${chunk.text}
+
+Write 3-6 concise bullet points describing what actually changed in this area and why it likely matters. Base them strictly on the diff hunks above. Do not include any headers or introductory text.`;
+
+  const response = await invokeAndRecord(generation, llm, chunkPrompt, cacheOptions);
+  return `Area: ${chunk.label}\n${response.content}`;
+};
+
+// The "Files Modified" list may use at most this share of the diff token budget
+const FILE_LIST_BUDGET_SHARE = 0.25;
+
+/**
+ * List the changed files for the prompt, within `maxTokens`.
+ * Files past the limit are counted in a closing line instead of listed.
+ */
+const buildFileList = (filesChanged, maxTokens) => {
+  const lines = [];
+  let tokens = 0;
+
+  for (const file of filesChanged) {
+    const ext = file.filename.split('.').pop() || 'no-extension';
+    const line = `- ${file.filename} (${file.status}, ${getFileTypeCategory(ext)}): +${file.additions}/-${file.deletions} lines`;
+    const lineTokens = estimateTokens(`${line}\n`);
+    if (tokens + lineTokens > maxTokens) break;
+    lines.push(line);
+    tokens += lineTokens;
+  }
+
+  const unlisted = filesChanged.length - lines.length;
+  if (unlisted > 0) {
+    lines.push(`- ...and ${unlisted} more files`);
+  }
+
+  return { text: lines.join('\n'), unlisted };
+};
+
+/**
+ * Build the code change context for the prompts.
+ * Small diffs are sent as raw hunks; large ones are summarized per chunk and
+ * the summaries are combined in the final pass. `budget` defaults to getDiffBudgetConfig().
+ */
+const buildCodeContext = async (llm, filesChanged, head, base, cacheOptions, generation, budget = getDiffBudgetConfig()) => {
+  const plan = planDiffContext(filesChanged, budget);
+
+  const coverage = {
+    mode: plan.mode,
+    chunkCount: plan.chunks.length,
+    skipped: plan.skipped,
+    truncatedFiles: plan.truncatedFiles,
+    omittedFiles: plan.omittedFiles,
+    summariesTruncated: false
+  };
+
+  if (plan.mode === 'inline') {
+    return {
+      codeContext: plan.text ? `Code Changes (diff hunks):\n${plan.text}` : '',
+      coverage
+    };
+  }
+
+  const chunkSummaries = [];
+  for (const chunk of plan.chunks) {
+    chunkSummaries.push(await summarizeDiffChunk(llm, chunk, head, base, cacheOptions, generation));
+  }
+
+  let combined = chunkSummaries.join('\n\n');
+  if (estimateTokens(combined) > budget.tokenBudget) {
+    combined = truncatePatch(combined, budget.tokenBudget).patch;
+    coverage.summariesTruncated = true;
+  }
+
+  return {
+    codeContext: `Code Changes (summarized per area from the diff hunks):\n${combined}`,
+    coverage
+  };
+};
+
+// Related tickets (parents, epics, links) only give background, so keep their descriptions short
+const RELATED_DESCRIPTION_LIMIT = 1500;
+
+/**
+ * Describe a normalized ticket for the prompts
+ */
+const formatTicketForPrompt = (ticket) => {
+  const relation = ticket.relation ? `, ${ticket.relation} of ${ticket.via}` : '';
+  if (!ticket.found) {
+    return `\nTicket: ${ticket.key}${relation} (details unavailable)`;
+  }
+
+  const description = ticket.relation && ticket.description.length > RELATED_DESCRIPTION_LIMIT
+    ? `${ticket.description.slice(0, RELATED_DESCRIPTION_LIMIT)}... [truncated]`
+    : ticket.description;
+  const customFields = Object.entries(ticket.customFields || {})
+    .map(([label, value]) => `\n- ${label}: ${value}`)
+    .join('');
+
+  return `
+${getTrackerLabel(ticket.tracker)} Ticket Details (${ticket.key}${relation}):
 - Title: ${ticket.summary}
 - Status: ${ticket.status}
 - Priority: ${ticket.priority}
 - Assignee: ${ticket.assignee}
 - Issue Type: ${ticket.issueType}
-- Description: ${ticket.description}
+- Description: ${description}${ticket.acceptanceCriteria ? `\n- Acceptance Criteria:\n${ticket.acceptanceCriteria}` : ''}${customFields}
 - Components: ${ticket.components.join(', ') || 'None'}
 - Labels: ${ticket.labels.join(', ') || 'None'}
-- Figma Links: ${ticket.figmaLinks && ticket.figmaLinks.length > 0 ? ticket.figmaLinks.join(', ') : 'None'}`;
-        }
-      } catch (error) {
-        console.warn('Failed to fetch JIRA ticket details:', error.message);
-        jiraTicketDetails = `\nJIRA Ticket: ${primaryTicket} (details unavailable)`;
-      }
+- Figma Links: ${ticket.figmaLinks.length > 0 ? ticket.figmaLinks.join(', ') : 'None'}`;
+};
+
+// Markdown headers come from the template, never from the generated content
+const hasNoHeaders = (value) => !/^\s*#{1,6}\s/m.test(value);
+const sectionText = z.string().trim().min(1).refine(hasNoHeaders, 'must not contain markdown headers');
+const listItem = sectionText.transform(value => value.replace(/^(?:[-*•]|\d+\.)\s+/, ''));
+
+/**
+ * Shape of the structured summary generation
+ */
+export const SummarySchema = z.object({
+  description: sectionText,
+  key_changes: z.array(listItem).min(1).max(8),
+  motivation: sectionText,
+  risks: z.array(listItem).max(5).default([]),
+  test_notes: z.array(listItem).max(5).default([])
+});
+
+// Repair rounds after a response that fails the schema
+const MAX_REPAIR_ATTEMPTS = 1;
+
+/**
+ * Empty generation report: LLM calls, cached calls, summary attempts, repair and fallback
+ * flags, total LLM latency and token usage. Pass the same one to every generation step
+ * of a PR to add them up.
+ */
+export const createGenerationStats = () => ({
+  calls: 0,
+  cached_calls: 0,
+  attempts: 0,
+  repaired: false,
+  fallback: false,
+  latency_ms: 0,
+  usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 }
+});
+
+const recordCall = (generation, response, latencyMs) => {
+  generation.calls += 1;
+  generation.latency_ms += latencyMs;
+  if (response.cached) generation.cached_calls += 1;
+  for (const key of Object.keys(generation.usage)) {
+    generation.usage[key] += response.usage?.[key] || 0;
+  }
+};
+
+// invokeWithCache, adding the call to the generation report
+const invokeAndRecord = async (generation, llm, prompt, options) => {
+  const started = Date.now();
+  const response = await invokeWithCache(llm, prompt, options);
+  recordCall(generation, response, Date.now() - started);
+  return response;
+};
+
+/**
+ * One-line summary of a generation report, e.g. "2 LLM calls (1 cached), 1840 tokens, 3.2s, repaired"
+ */
+export const formatGenerationStats = (generation) => {
+  const parts = [`${generation.calls} LLM call${generation.calls === 1 ? '' : 's'}${generation.cached_calls > 0 ? ` (${generation.cached_calls} cached)` : ''}`];
+  if (generation.usage.total_tokens > 0) parts.push(`${generation.usage.total_tokens} tokens`);
+  parts.push(`${(generation.latency_ms / 1000).toFixed(1)}s`);
+  if (generation.repaired) parts.push('repaired');
+  if (generation.fallback) parts.push('fallback text used');
+  return parts.join(', ');
+};
+
+const describeSchemaIssues = (error) => (error instanceof z.ZodError
+  ? error.issues.map(issue => `- ${issue.path.join('.') || 'response'}: ${issue.message}`).join('\n')
+  : `- ${error.message}`);
+
+const buildRepairPrompt = (prompt, content, error) => `${prompt}
+
+Your previous response could not be used:
+${describeSchemaIssues(error)}
+
+Previous response:
+${content}
+
+Return ONLY the corrected JSON object with the fields described above.`;
+
+/**
+ * Generate the description, key changes, motivation, risk notes and test notes in one
+ * structured LLM call validated against SummarySchema (with a repair round when it fails).
+ * `tickets` holds the detected references and the normalized details fetched for them
+ * (referenced tickets first, then related ones marked with `relation`/`via`);
+ * `commits` are parsed commits from commits.js.
+ * Generations are cached (only when they pass the schema); pass `{ forceRegenerate: true }`
+ * to skip the cache. The calls are added to `generation` (from createGenerationStats), which is
+ * returned with the summary's attempts; `fallback` is set when the generic text was used.
+ */
+export const generateDetailedSummary = async (filesChanged, stats, head, base, tickets = { refs: [], details: [] }, customBody = "", commits = [], cacheOptions = {}, generation = createGenerationStats()) => {
+
+  try {
+    // Use existing AI LLM client
+    const llm = getLLMClient();
+
+    // The file list and the diff hunks share the diff token budget
+    const budget = getDiffBudgetConfig();
+    const fileList = buildFileList(filesChanged, Math.floor(budget.tokenBudget * FILE_LIST_BUDGET_SHARE));
+    const fileSummary = fileList.text;
+    const diffBudget = Math.max(budget.tokenBudget - estimateTokens(fileSummary), 1);
+
+    // Real diff hunks (or per-area summaries for large diffs)
+    const { codeContext, coverage } = await buildCodeContext(llm, filesChanged, head, base, cacheOptions, generation, {
+      ...budget,
+      tokenBudget: diffBudget,
+      chunkTokenBudget: Math.min(budget.chunkTokenBudget, diffBudget)
+    });
+    coverage.unlistedFiles = fileList.unlisted;
+
+    // Ticket context in the normalized tracker shape (fetched by the caller)
+    let ticketContext = 'No tickets found in branch name or description';
+    let ticketDetails = '';
+    
+    if (tickets.refs.length > 0) {
+      ticketContext = `Tickets: ${tickets.refs.map(ref => `${ref.key} (${getTrackerLabel(ref.tracker)})`).join(', ')}`;
+      ticketDetails = tickets.details.map(formatTicketForPrompt).join('');
     }
 
     const customContext = customBody ? 
       `\nCustom Description Provided:\n${customBody}` : 
       '';
 
-    // Generate description
-    const descriptionPrompt = `You are an expert software engineer assistant. Your task is to write a concise description for the "Description:" section of a pull request.
+    // Commit messages, authors and co-authors (parsed by the caller)
+    const commitContext = `Commits (oldest first):\n${formatCommitsForPrompt(commits)}`;
+
+    const summaryPrompt = `You are an expert software engineer assistant. Your task is to write the description sections of a pull request.
 
 Context:
 - Branch: ${head} → ${base}
@@ -125,97 +319,227 @@ Context:
 - Lines Added: +${stats.additions}
 - Lines Deleted: -${stats.deletions}
 - Net Change: ${stats.additions - stats.deletions}
-- ${jiraContext}${jiraTicketDetails}${customContext}
+- ${ticketContext}${ticketDetails}${customContext}
 
 Files Modified:
 ${fileSummary}
 
-Please provide a concise description (2-3 sentences maximum) that:
-   - Use the provided JIRA ticket details to understand the "why" and the business requirements.
-   - Use the provided Git Diff to understand the "how" and the technical implementation.
-   - Reference the JIRA ticket title and requirements when explaining the changes.
-   - Incorporate any custom description provided above into the summary.
-   - Write ONLY the content for the "Description:" section - do NOT include any markdown headers like "## Description:" or "## Summary:".
-   - Do not make up information; base the description strictly on the context provided.
-   - Keep it brief, focused, and professional.
-   - Focus on the main purpose and impact of the changes.
-   `;
+${commitContext}
 
-    // Generate key changes
-    const keyChangesPrompt = `You are an expert software engineer assistant. Your task is to write a detailed "Key Changes:" section for a pull request.
+${codeContext}
 
-Context:
-- Branch: ${head} → ${base}
-- Files Changed: ${filesChanged.length}
-- Lines Added: +${stats.additions}
-- Lines Deleted: -${stats.deletions}
-- Net Change: ${stats.additions - stats.deletions}
-- ${jiraContext}${jiraTicketDetails}${customContext}
+Respond with ONLY a JSON object with these fields:
+- "description": 2-3 sentences for the "Description" section on the main purpose and impact of the changes. Reference the ticket title and requirements and incorporate any custom description provided above.
+- "key_changes": 4-6 strings for the "Key Changes" list, one change each, without a leading bullet. Group related changes (e.g. "API Changes: ...") and explain what was added or improved and why it matters, not file names, line numbers or implementation details.
+- "motivation": 2-3 sentences for the "Motivation and Context" section: why the change is required, what problem it solves and its immediate impact for users or the system.
+- "risks": up to 3 short notes on behaviour the diff could break or that needs careful review; an empty array when nothing stands out.
+- "test_notes": up to 3 short notes on what reviewers should verify by hand; an empty array when nothing stands out.
 
-Files Modified:
-${fileSummary}
-
-Based on the specific files and changes above, provide a detailed bulleted list of key changes that:
-   - Analyzes the file names, extensions, and change patterns to understand the technical scope
-   - Correlates the file changes with the JIRA ticket requirements and business context
-   - Describes specific features, functionality, and business value added
-   - Explains what new capabilities, improvements, or fixes were implemented
-   - References the JIRA ticket details (title, description, components, labels) to understand the business requirements
-   - Groups related changes logically (e.g., "Frontend Updates", "API Changes", "Configuration Updates")
-   - Provides context about the impact and scope of each change category
-   - Avoids mentioning specific file names, line numbers, or technical implementation details
-   - Write ONLY the bulleted list content - do NOT include "Key Changes:" header or any markdown headers
-   - Use bullet points (• or -) to list each key change
-   - Keep each point detailed but focused on user-facing features or business impact
-   - Do not make up information; base the content strictly on the actual files and changes provided
-   - Limit to 4-6 most important changes
-   - Start directly with the first bullet point, no introductory text
-   - Focus on "what" was added/improved and "why" it matters, not "how" it was implemented
-   - Include specific details about the functionality being added or improved
-   `;
-
-    // Generate motivation context
-    const motivationPrompt = `You are an expert software engineer assistant. Your task is to write a concise "Motivation and Context:" section for a pull request.
-
-Context:
-- Branch: ${head} → ${base}
-- Files Changed: ${filesChanged.length}
-- Lines Added: +${stats.additions}
-- Lines Deleted: -${stats.deletions}
-- Net Change: ${stats.additions - stats.deletions}
-- ${jiraContext}${jiraTicketDetails}${customContext}
+Rules:
+   - Use the ticket details to understand the "why", the code changes to understand the "how" and the commit messages to understand the author's intent.
+   - The description, key changes and motivation must describe the same change and agree with each other.
+   - Markdown such as **bold** or \`code\` is fine inside the strings, but no headers and no section titles.
+   - Do not make up information; base everything strictly on the context provided.`;
 
-Files Modified:
-${fileSummary}
+    const parseSummary = (content) => SummarySchema.parse(parseJsonResponse(content));
+    const summaryOptions = { ...cacheOptions, validate: parseSummary };
+    let response = await invokeAndRecord(generation, llm, summaryPrompt, summaryOptions);
 
-Based on the specific files and changes above, provide a concise motivation and context (2-3 sentences maximum) that explains:
-   - WHY is this specific change required? What business problem does it solve?
-   - What specific functionality or capability is being added/improved?
-   - What will be the immediate impact for users or the system?
-   - Analyze the file names and changes to understand the actual purpose
-   - Use the JIRA ticket details (title, description, status, priority) to understand the business requirements
-   - Reference the JIRA ticket context when explaining the motivation
-   - Write ONLY the content for the "Motivation and Context:" section - do NOT include any markdown headers
-   - Keep it brief, direct, and focused on the specific changes being made
-   - Do not make up information; base the content strictly on the actual files and changes provided
-   `;
-
-    // Make LLM calls sequential to avoid potential issues
-    const descriptionResponse = await llm.invoke(descriptionPrompt);
-    const keyChangesResponse = await llm.invoke(keyChangesPrompt);
-    const motivationResponse = await llm.invoke(motivationPrompt);
+    let summary = null;
+    for (let attempt = 1; !summary; attempt++) {
+      generation.attempts = attempt;
+      try {
+        summary = parseSummary(response.content);
+      } catch (error) {
+        if (attempt > MAX_REPAIR_ATTEMPTS) {
+          throw new Error(`Summary did not match the schema after ${attempt} attempts:\n${describeSchemaIssues(error)}`);
+        }
+        generation.repaired = true;
+        response = await invokeAndRecord(generation, llm, buildRepairPrompt(summaryPrompt, response.content, error), summaryOptions);
+      }
+    }
 
     return {
-      detailedSummary: descriptionResponse.content,
-      keyChanges: keyChangesResponse.content,
-      motivationContext: motivationResponse.content
+      detailedSummary: summary.description,
+      keyChanges: summary.key_changes.map(change => `- ${change}`).join('\n'),
+      motivationContext: summary.motivation,
+      risks: summary.risks,
+      testNotes: summary.test_notes,
+      diffCoverage: coverage,
+      generation
     };
   } catch (error) {
     console.warn('Failed to generate LLM summary:', error.message);
+    generation.fallback = true;
+    generation.error = error.message;
     return {
       detailedSummary: `This PR introduces changes from \`${head}\` to \`${base}\` branch with ${filesChanged.length} files modified (${stats.additions} additions, ${stats.deletions} deletions).`,
       keyChanges: `• Modified ${filesChanged.length} files with ${stats.additions} additions and ${stats.deletions} deletions`,
-      motivationContext: `This change addresses the requirements specified in the JIRA ticket(s) mentioned below. The modifications improve system functionality and user experience.`
+      motivationContext: `This change addresses the requirements specified in the ticket(s) mentioned below. The modifications improve system functionality and user experience.`,
+      risks: [],
+      testNotes: [],
+      diffCoverage: null,
+      generation
     };
   }
 };
+
+
+/**
+ * Parse a JSON object out of an LLM response, tolerating code fences and surrounding text
+ */
+const parseJsonResponse = (content) => {
+  const text = String(content).replace(/```(?:json)?/g, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('LLM response did not contain a JSON object');
+  }
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+/**
+ * Draft test scenarios for the Testing section from the source file patches,
+ * starting with source files that changed without a matching test change.
+ * Returns an empty string when there is nothing to test or the LLM fails.
+ * The call is added to `generation` (from createGenerationStats).
+ */
+export const generateTestScenarios = async (filesChanged, coverage, head, base, cacheOptions = {}, generation = createGenerationStats()) => {
+  if (coverage.sourceFiles.length === 0) return '';
+
+  try {
+    const llm = getLLMClient();
+    const { chunkTokenBudget } = getDiffBudgetConfig();
+
+    const untested = coverage.untested.map(({ source }) => source);
+    const ordered = [...untested, ...coverage.sourceFiles.filter(source => !untested.includes(source))];
+    const patches = ordered
+      .map(filename => filesChanged.find(file => file.filename === filename))
+      .filter(file => file?.patch)
+      .map(file => `--- ${file.filename}${untested.includes(file.filename) ? ' (no test changes)' : ''}\n${file.patch}`)
+      .join('\n\n');
+
+    if (!patches) return '';
+
+    const scenariosPrompt = `You are an expert software engineer assistant. Your task is to suggest test scenarios for a pull request (${head} → ${base}).
+
+Source files without matching test changes:
+${untested.length > 0 ? untested.map(source => `- ${source}`).join('\n') : '- None'}
+
+Code Changes (diff hunks):
+${truncatePatch(patches, chunkTokenBudget).patch}
+
+Write 3-8 concise bullet points, each describing one test scenario:
+   - Prioritize behaviour changed in files without test changes
+   - Cover edge cases and error handling visible in the diff
+   - Name the function, endpoint or component under test when the diff shows it
+   - Base the scenarios strictly on the diff above; do not make up behaviour
+   - Write ONLY the bulleted list, no headers or introductory text`;
+
+    const response = await invokeAndRecord(generation, llm, scenariosPrompt, cacheOptions);
+    return response.content.trim();
+  } catch (error) {
+    console.warn('Failed to generate test scenarios with LLM:', error.message);
+    return '';
+  }
+};
+
+/**
+ * Fill each section of the repository's PR template using the generated content.
+ * Returns a map of section id to section body. The call is added to `generation`.
+ */
+export const fillTemplateSections = async (template, generated, cacheOptions = {}, generation = createGenerationStats()) => {
+  const fallback = matchSectionsByHeading(template.sections, generated);
+
+  try {
+    const llm = getLLMClient();
+
+    const sectionList = template.sections.map(section => ({
+      id: section.id,
+      heading: section.title,
+      template_content: section.body
+    }));
+
+    const templatePrompt = `You are an expert software engineer assistant. Your task is to fill in a repository's pull request template.
+
+Generated Content:
+- Description: ${generated.detailedSummary}
+- Key Changes:
+${generated.keyChanges}
+- Motivation and Context: ${generated.motivationContext}
+- Tickets:
+${generated.ticketSection}
+${generated.figmaSection ? `- Figma Links:\n${generated.figmaSection}\n` : ''}${generated.commitsSection ? `- Commits:\n${generated.commitsSection}\n` : ''}${generated.riskSection ? `- Risk & Impact:\n${generated.riskSection}\n` : ''}${generated.testingSection ? `- Testing:\n${generated.testingSection}\n` : ''}- Change Analysis:
+${generated.changeAnalysis}
+
+Template Sections (JSON):
+${JSON.stringify(sectionList, null, 2)}
+
+Fill in every section and respond with ONLY a JSON object that maps each section "id" to the markdown content for that section:
+   - Do NOT include the section heading itself in the content
+   - Keep every HTML comment (<!-- ... -->) from the template content exactly as written
+   - Keep every checkbox line ("- [ ]") from the template content; check one ("- [x]") only when the generated content clearly supports it
+   - Keep tables and placeholders that require human input (e.g. screenshots) as they are
+   - Use only the generated content above; do not make up information
+   - If nothing in the generated content fits a section, return its template content unchanged`;
+
+    const response = await invokeAndRecord(generation, llm, templatePrompt, { ...cacheOptions, validate: parseJsonResponse });
+    const parsed = parseJsonResponse(response.content);
+
+    return template.sections.reduce((acc, section) => {
+      if (typeof parsed[section.id] === 'string') {
+        acc[section.id] = parsed[section.id];
+      } else if (fallback[section.id]) {
+        acc[section.id] = fallback[section.id];
+      }
+      return acc;
+    }, {});
+  } catch (error) {
+    console.warn('Failed to fill PR template with LLM:', error.message);
+    return fallback;
+  }
+};
+/**
+ * Ask the LLM for review findings on each batch of numbered patches.
+ * Returns { findings, failedFiles, generation } with raw findings ({ path, line, side, severity, category,
+ * title, body, suggestion }); a batch that fails is logged and skipped so the others still get reviewed.
+ */
+export const generateReviewFindings = async (batches, { title, description, head, base }, generation = createGenerationStats()) => {
+  const llm = getLLMClient();
+  const findings = [];
+  const failedFiles = [];
+
+  for (const batch of batches) {
+    const reviewPrompt = `You are an expert software engineer doing a code review of a pull request (${head} → ${base}).
+
+Pull Request: ${title}
+${description ? `Description:\n${truncatePatch(description, 1000).patch}\n` : ''}
+Code Changes (each line starts with its line number in the new file; deleted lines show their old line number):
+${batch.text}
+
+Find real problems in the changed code:
+   - Bugs and logic errors
+   - Missing or incorrect error handling
+   - Security issues and risky patterns (injection, unsafe input handling, race conditions, resource leaks)
+   - Serious performance problems
+   - Comment only on added or deleted lines, not on unchanged context
+   - Skip style, naming and formatting nitpicks; report nothing rather than guessing
+
+Respond with ONLY a JSON object of the form:
+{"findings": [{"path": "file path as shown above", "line": 12, "side": "RIGHT", "severity": "low|medium|high|critical", "category": "bug|error-handling|security|risky-pattern|performance", "title": "one-line summary", "body": "why it is a problem", "suggestion": "optional replacement code"}]}
+Use "side": "LEFT" with the old line number only for problems with a deleted line. Return {"findings": []} when there is nothing to report.`;
+
+    try {
+      const started = Date.now();
+      const response = await llm.invoke(reviewPrompt);
+      recordCall(generation, { cached: false, usage: response.usage_metadata }, Date.now() - started);
+      const parsed = parseJsonResponse(response.content);
+      if (Array.isArray(parsed.findings)) findings.push(...parsed.findings);
+    } catch (error) {
+      console.warn(`Failed to review ${batch.files.join(', ')} with LLM:`, error.message);
+      failedFiles.push(...batch.files);
+    }
+  }
+
+  return { findings, failedFiles, generation };
+};
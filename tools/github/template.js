@@ -0,0 +1,193 @@
+/**
+ * Repository pull request template support
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { fetchRepositoryFile } from './utils.js';
+
+// Locations GitHub itself checks for a single PR template
+const TEMPLATE_FILE_PATHS = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'docs/pull_request_template.md',
+  'docs/PULL_REQUEST_TEMPLATE.md'
+];
+
+// Locations for multiple templates; the default (or first) one is used
+const TEMPLATE_DIR_PATHS = [
+  '.github/PULL_REQUEST_TEMPLATE',
+  'PULL_REQUEST_TEMPLATE',
+  'docs/PULL_REQUEST_TEMPLATE'
+];
+
+const CHECKBOX_PATTERN = /^\s*[-*]\s+\[[ xX]\]\s+(.*)$/;
+const HTML_COMMENT_PATTERN = /<!--[\s\S]*?-->/g;
+
+/**
+ * Fetch the repository's PR template, if it has one
+ */
+export const fetchPullRequestTemplate = async (owner, repo, headers, ref) => {
+  for (const path of TEMPLATE_FILE_PATHS) {
+    const file = await fetchRepositoryFile(owner, repo, path, headers, ref);
+    if (file && file.type === 'file' && file.content.trim()) {
+      return { path: file.path, content: file.content };
+    }
+  }
+
+  for (const path of TEMPLATE_DIR_PATHS) {
+    const dir = await fetchRepositoryFile(owner, repo, path, headers, ref);
+    if (!dir || dir.type !== 'dir') continue;
+
+    const markdownFiles = dir.entries
+      .filter(entry => entry.type === 'file' && /\.md$/i.test(entry.name))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    const chosen = markdownFiles.find(entry => /^default\.md$/i.test(entry.name)) || markdownFiles[0];
+    if (!chosen) continue;
+
+    const file = await fetchRepositoryFile(owner, repo, chosen.path, headers, ref);
+    if (file && file.type === 'file' && file.content.trim()) {
+      return { path: file.path, content: file.content };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read the PR template from a local checkout, if it has one
+ */
+export const loadLocalPullRequestTemplate = (root) => {
+  for (const path of TEMPLATE_FILE_PATHS) {
+    const fullPath = join(root, path);
+    if (existsSync(fullPath) && statSync(fullPath).isFile()) {
+      const content = readFileSync(fullPath, 'utf8');
+      if (content.trim()) return { path, content };
+    }
+  }
+
+  for (const path of TEMPLATE_DIR_PATHS) {
+    const fullPath = join(root, path);
+    if (!existsSync(fullPath) || !statSync(fullPath).isDirectory()) continue;
+
+    const markdownFiles = readdirSync(fullPath).filter(name => /\.md$/i.test(name)).sort();
+    const chosen = markdownFiles.find(name => /^default\.md$/i.test(name)) || markdownFiles[0];
+    if (!chosen) continue;
+
+    const content = readFileSync(join(fullPath, chosen), 'utf8');
+    if (content.trim()) return { path: `${path}/${chosen}`, content };
+  }
+
+  return null;
+};
+
+/**
+ * Split a template into the text before the first heading and its heading sections
+ */
+export const parseTemplateSections = (markdown) => {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const preamble = [];
+  const sections = [];
+  let current = null;
+  let inFence = false;
+
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+    const headingMatch = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (headingMatch) {
+      current = {
+        id: `section-${sections.length + 1}`,
+        heading: line,
+        level: headingMatch[1].length,
+        title: headingMatch[2].replace(/[:*_`]/g, '').trim(),
+        body: ''
+      };
+      sections.push(current);
+      continue;
+    }
+
+    if (current) {
+      current.body += (current.body ? '\n' : '') + line;
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  sections.forEach(section => {
+    section.body = section.body.replace(/^\n+|\s+$/g, '');
+  });
+
+  return { preamble: preamble.join('\n').trim(), sections };
+};
+
+/**
+ * Make sure the filled content still carries the template's checkboxes and HTML comments
+ */
+const preserveTemplateMarkup = (templateBody, filledBody) => {
+  let result = (filledBody || '').trim();
+
+  const comments = templateBody.match(HTML_COMMENT_PATTERN) || [];
+  const missingComments = comments.filter(comment => !result.includes(comment));
+  if (missingComments.length > 0) {
+    result = `${missingComments.join('\n')}${result ? `\n${result}` : ''}`;
+  }
+
+  const filledCheckboxLabels = result.split('\n')
+    .map(line => line.match(CHECKBOX_PATTERN))
+    .filter(Boolean)
+    .map(match => match[1].trim());
+  const missingCheckboxes = templateBody.split('\n').filter(line => {
+    const match = line.match(CHECKBOX_PATTERN);
+    return match && !filledCheckboxLabels.includes(match[1].trim());
+  });
+  if (missingCheckboxes.length > 0) {
+    result = `${result}${result ? '\n' : ''}${missingCheckboxes.join('\n')}`;
+  }
+
+  return result;
+};
+
+/**
+ * Render the template with each section's filled content.
+ * Filled sections are passed through `wrapSection` so they can be marked as AI-owned.
+ */
+export const renderFilledTemplate = ({ preamble, sections }, filled, wrapSection = null) => {
+  const parts = preamble ? [preamble] : [];
+  sections.forEach(section => {
+    if (!(section.id in filled)) {
+      parts.push(section.body ? `${section.heading}\n${section.body}` : section.heading);
+      return;
+    }
+    const body = preserveTemplateMarkup(section.body, filled[section.id]);
+    const slug = section.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const content = wrapSection ? wrapSection(`template-${slug || section.id}`, body) : body;
+    parts.push(content ? `${section.heading}\n${content}` : section.heading);
+  });
+  return parts.join('\n\n');
+};
+
+/**
+ * Map template sections to generated content by heading when the LLM cannot fill them
+ */
+export const matchSectionsByHeading = (sections, generated) => {
+  const rules = [
+    { pattern: /test/i, value: generated.testingSection },
+    { pattern: /commit/i, value: generated.commitsSection },
+    { pattern: /motivation|context|why/i, value: generated.motivationContext },
+    { pattern: /key changes|changes made|what changed|changes/i, value: generated.keyChanges },
+    { pattern: /description|summary|overview|what/i, value: generated.detailedSummary },
+    { pattern: /jira|ticket|issue/i, value: generated.ticketSection },
+    { pattern: /figma|design/i, value: generated.figmaSection },
+    { pattern: /risk|impact/i, value: generated.riskSection },
+    { pattern: /analysis|stat/i, value: generated.changeAnalysis }
+  ];
+
+  return sections.reduce((acc, section) => {
+    const rule = rules.find(({ pattern, value }) => value && pattern.test(section.title));
+    if (rule) acc[section.id] = rule.value;
+    return acc;
+  }, {});
+};
@@ -0,0 +1,151 @@
+/**
+ * Test coverage of a change
+ *
+ * Classifies changed files into source and test files (conventions are
+ * configurable with PR_TEST_PATTERNS), pairs each source file with the test
+ * files changed alongside it and lists source changes without a matching test
+ * change, so the description can answer "where are the tests?".
+ */
+
+import { codeOwnersPatternToRegex } from './reviewers.js';
+import { getSkipReason } from './diff.js';
+import { getTestConfig } from '../../config/prConfig.js';
+
+// Directory names that only say "source" or "tests", ignored when pairing mirrored paths
+const NEUTRAL_DIRECTORIES = ['src', 'lib', 'app', 'main', 'java', 'kotlin', 'test', 'tests', 'spec', 'specs', '__tests__', 'unit', 'integration'];
+
+const splitPath = (filename) => {
+  const parts = filename.split('/');
+  const basename = parts.pop();
+  const dotIndex = basename.lastIndexOf('.');
+  return {
+    dirs: parts,
+    basename,
+    name: dotIndex > 0 ? basename.slice(0, dotIndex) : basename,
+    ext: dotIndex > 0 ? basename.slice(dotIndex + 1).toLowerCase() : ''
+  };
+};
+
+/**
+ * Name a test file is about: a.test.js, a.spec.ts, a_test.go, test_a.py, a_spec.rb, ATest.java -> a / A
+ */
+const getTestStem = (name) => name
+  .replace(/\.(test|spec)$/i, '')
+  .replace(/_(test|spec)$/i, '')
+  .replace(/^test_/i, '')
+  .replace(/(Tests?|Spec)$/, '');
+
+const getComparableDir = (dirs) => dirs.filter(dir => !NEUTRAL_DIRECTORIES.includes(dir.toLowerCase())).join('/');
+
+/**
+ * Classify a changed file as 'test', 'source' or 'other'
+ */
+export const classifyFile = (file, config = getTestConfig()) => {
+  if (config.testPatterns.some(pattern => codeOwnersPatternToRegex(pattern).test(file.filename))) return 'test';
+  if (getSkipReason(file)) return 'other';
+  const { ext, basename } = splitPath(file.filename);
+  if (basename.endsWith('.d.ts')) return 'other';
+  return config.sourceExtensions.includes(ext) ? 'source' : 'other';
+};
+
+/**
+ * Conventional test file paths for a source file (first one is the suggestion)
+ */
+export const getExpectedTestPaths = (filename) => {
+  const { dirs, name, ext } = splitPath(filename);
+  const dir = dirs.length > 0 ? `${dirs.join('/')}/` : '';
+  const mirror = getComparableDir(dirs);
+  const mirrorDir = mirror ? `${mirror}/` : '';
+
+  switch (ext) {
+    case 'go':
+      return [`${dir}${name}_test.go`];
+    case 'py':
+      return [`${dir}test_${name}.py`, `tests/${mirrorDir}test_${name}.py`, `${dir}${name}_test.py`];
+    case 'rb':
+      return [`spec/${dirs.filter(d => !['app', 'lib'].includes(d)).map(d => `${d}/`).join('')}${name}_spec.rb`];
+    case 'java':
+    case 'kt':
+      return [`${dir.replace(/(^|\/)src\/main\//, '$1src/test/')}${name}Test.${ext}`];
+    case 'cs':
+      return [`${dir}${name}Tests.cs`];
+    default:
+      return [
+        `${dir}${name}.test.${ext}`,
+        `${dir}__tests__/${name}.test.${ext}`,
+        `${dir}${name}.spec.${ext}`,
+        `test/${mirrorDir}${name}.test.${ext}`
+      ];
+  }
+};
+
+/**
+ * Whether a test file covers a source file: same name stem, and the same
+ * directory once "src"/"test"-style directories are ignored (mirrors, __tests__)
+ */
+const testsSource = (testFile, sourceFile) => {
+  const test = splitPath(testFile);
+  const source = splitPath(sourceFile);
+  return getTestStem(test.name).toLowerCase() === source.name.toLowerCase()
+    && getComparableDir(test.dirs) === getComparableDir(source.dirs);
+};
+
+/**
+ * Pair changed source files with changed test files.
+ * Returns { sourceFiles, testFiles, covered: [{ source, tests }], untested: [{ source, expected }] }
+ */
+export const analyzeTestCoverage = (filesChanged, config = getTestConfig()) => {
+  const classified = filesChanged.map(file => ({ file, kind: classifyFile(file, config) }));
+  const testFiles = classified.filter(({ kind }) => kind === 'test').map(({ file }) => file.filename);
+  // Deleted source files need no new tests
+  const sourceFiles = classified
+    .filter(({ file, kind }) => kind === 'source' && file.status !== 'removed')
+    .map(({ file }) => file.filename);
+
+  const covered = [];
+  const untested = [];
+  for (const source of sourceFiles) {
+    const tests = testFiles.filter(test => testsSource(test, source));
+    if (tests.length > 0) {
+      covered.push({ source, tests });
+    } else {
+      untested.push({ source, expected: getExpectedTestPaths(source)[0] });
+    }
+  }
+
+  return { sourceFiles, testFiles, covered, untested };
+};
+
+const MAX_LISTED = 15;
+
+const listWithLimit = (items, format) => {
+  const lines = items.slice(0, MAX_LISTED).map(format);
+  if (items.length > MAX_LISTED) lines.push(`- ...and ${items.length - MAX_LISTED} more`);
+  return lines.join('\n');
+};
+
+/**
+ * Markdown for the "Testing" section; `notes` are the LLM's manual verification notes
+ */
+export const buildTestingSection = (coverage, scenarios = '', notes = []) => {
+  const { sourceFiles, testFiles, covered, untested } = coverage;
+  const parts = [`**Test Changes:** ${testFiles.length} test file${testFiles.length === 1 ? '' : 's'} changed for ${sourceFiles.length} source file${sourceFiles.length === 1 ? '' : 's'}`];
+
+  if (covered.length > 0) {
+    parts.push(`**Covered:**\n${listWithLimit(covered, ({ source, tests }) => `- \`${source}\` → ${tests.map(test => `\`${test}\``).join(', ')}`)}`);
+  }
+
+  if (untested.length > 0) {
+    parts.push(`**Source changes without test changes:**\n${listWithLimit(untested, ({ source, expected }) => `- \`${source}\` (expected e.g. \`${expected}\`)`)}`);
+  }
+
+  if (scenarios) {
+    parts.push(`**Suggested Test Scenarios:**\n${scenarios}`);
+  }
+
+  if (notes.length > 0) {
+    parts.push(`**Test Notes:**\n${notes.map(note => `- ${note}`).join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+};
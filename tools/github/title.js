@@ -0,0 +1,309 @@
+/**
+ * Pull request title generation and linting
+ *
+ * Titles are generated from commit messages, ticket summaries and the changed
+ * files, then checked against the rules in config/prConfig.js. Depending on
+ * PR_TITLE_LINT_MODE, a title that breaks the rules is fixed or rejected.
+ */
+
+import { getLLMClient } from "../../config/aiConfig.js";
+import { getTitleConfig } from "../../config/prConfig.js";
+import { invokeWithCache } from "./generationCache.js";
+
+const TICKET_KEY = /^[A-Z][A-Z0-9]*-\d+$/;
+// "ABC-123: ", "ABC-123 - ", "[ABC-123] ", "ABC-123 "
+const LEADING_TICKET = /^\[?([A-Z][A-Z0-9]*-\d+)\]?\s*[:\-–]?\s*/;
+const CONVENTIONAL = /^([a-zA-Z]+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/;
+const TYPE_ALIASES = {
+  feature: 'feat',
+  features: 'feat',
+  bug: 'fix',
+  bugfix: 'fix',
+  hotfix: 'fix',
+  doc: 'docs',
+  tests: 'test',
+  refactoring: 'refactor',
+  performance: 'perf'
+};
+
+/**
+ * Map type aliases (feature, bugfix, ...) to Conventional Commit types
+ */
+export const normalizeType = (type) => {
+  if (!type) return null;
+  const lower = type.toLowerCase();
+  return TYPE_ALIASES[lower] || lower;
+};
+
+/**
+ * Split a title into ticket, Conventional Commit parts and subject
+ */
+export const parseTitle = (title) => {
+  let rest = title.trim();
+  const ticketMatch = rest.match(LEADING_TICKET);
+  const ticket = ticketMatch ? ticketMatch[1] : null;
+  if (ticketMatch) rest = rest.slice(ticketMatch[0].length);
+
+  const conventional = rest.match(CONVENTIONAL);
+  if (!conventional) {
+    return { ticket, type: null, scope: null, breaking: false, subject: rest };
+  }
+
+  return {
+    ticket,
+    type: conventional[1],
+    scope: conventional[2] || null,
+    breaking: !!conventional[3],
+    subject: conventional[4].trim()
+  };
+};
+
+const formatTitle = ({ ticket, type, scope, breaking, subject }, config) => {
+  const prefix = ticket ? config.ticketPrefix.replace('{ticket}', ticket) : '';
+  const conventional = type ? `${type}${scope ? `(${scope})` : ''}${breaking ? '!' : ''}: ` : '';
+  return `${prefix}${conventional}${subject}`;
+};
+
+// Created titles get the signature appended, so it counts against the length limit
+const getTitleLengthBudget = (config) => config.maxLength - (config.signature || '').length;
+
+/**
+ * Check a title against the configured rules; returns a list of problems.
+ * Length and PR_TITLE_PATTERN are checked on the title as posted, with the signature.
+ */
+export const lintTitle = (title, config = getTitleConfig()) => {
+  const errors = [];
+  const parts = parseTitle(title);
+
+  if (!title.trim()) {
+    return ['Title is empty'];
+  }
+
+  const signed = applyTitleSignature(title, config);
+  if (signed.length > config.maxLength) {
+    errors.push(`Title is ${signed.length} characters${signed !== title ? ' with the signature' : ''}; the limit is ${config.maxLength}`);
+  }
+
+  if (config.requireTicket) {
+    const expectedPrefix = parts.ticket && config.ticketPrefix.replace('{ticket}', parts.ticket);
+    if (!parts.ticket) {
+      errors.push(`Title must start with a ticket key (e.g. "${config.ticketPrefix.replace('{ticket}', 'ABC-123')}")`);
+    } else if (!title.startsWith(expectedPrefix)) {
+      errors.push(`Ticket prefix must look like "${expectedPrefix}"`);
+    }
+  }
+
+  if (config.types.length > 0) {
+    if (!parts.type) {
+      errors.push(`Title must use a Conventional Commit type (${config.types.join(', ')}), e.g. "feat(scope): subject"`);
+    } else if (!config.types.includes(parts.type)) {
+      errors.push(`Type "${parts.type}" is not allowed; use one of: ${config.types.join(', ')}`);
+    }
+  }
+
+  if (config.pattern && !config.pattern.test(signed)) {
+    errors.push(`Title does not match PR_TITLE_PATTERN (${config.pattern.source})`);
+  }
+
+  return errors;
+};
+
+/**
+ * Shorten a subject at a word boundary
+ */
+const shortenSubject = (subject, maxLength) => {
+  if (subject.length <= maxLength) return subject;
+  const cut = subject.slice(0, maxLength + 1);
+  const boundary = cut.lastIndexOf(' ');
+  return (boundary > maxLength / 2 ? cut.slice(0, boundary) : cut.slice(0, maxLength)).replace(/[\s,;:.-]+$/, '');
+};
+
+/**
+ * Fix what can be fixed automatically: ticket prefix, type, trailing period and length.
+ * `context` provides the ticket and type to use when the title has none.
+ */
+export const fixTitle = (title, context = {}, config = getTitleConfig()) => {
+  const parts = parseTitle(title);
+  const changes = [];
+
+  if (config.types.length > 0) {
+    const type = normalizeType(parts.type);
+    if (config.types.includes(type)) {
+      if (type !== parts.type) changes.push(`changed type "${parts.type}" to "${type}"`);
+      parts.type = type;
+    } else {
+      if (parts.type) {
+        // Not a known type, so the "type:" was part of the subject
+        parts.subject = title.trim().replace(LEADING_TICKET, '');
+        parts.type = null;
+        parts.scope = null;
+        parts.breaking = false;
+      }
+      if (context.type && config.types.includes(context.type)) {
+        parts.type = context.type;
+        changes.push(`added type "${context.type}"`);
+      }
+    }
+  }
+
+  if (config.requireTicket && !parts.ticket && context.ticket) {
+    parts.ticket = context.ticket;
+    changes.push(`added ticket ${context.ticket}`);
+  }
+
+  const subject = parts.subject.replace(/\.+$/, '');
+  if (subject !== parts.subject) {
+    parts.subject = subject;
+    changes.push('removed trailing period');
+  }
+
+  const originalTicket = parseTitle(title).ticket;
+  if (originalTicket && !title.trim().startsWith(config.ticketPrefix.replace('{ticket}', originalTicket))) {
+    changes.push('normalized ticket prefix');
+  }
+
+  let fixed = formatTitle(parts, config);
+
+  const lengthBudget = getTitleLengthBudget(config);
+  if (fixed.length > lengthBudget) {
+    const available = lengthBudget - (fixed.length - parts.subject.length);
+    parts.subject = shortenSubject(parts.subject, Math.max(available, 1));
+    fixed = formatTitle(parts, config);
+    changes.push(`shortened to ${lengthBudget} characters`);
+  }
+
+  return { title: fixed, changes };
+};
+
+/**
+ * First JIRA/Linear-style ticket key among the references (GitHub issues can't prefix a title)
+ */
+export const findTitleTicket = (refs = []) => refs.find(ref => TICKET_KEY.test(ref.key))?.key || null;
+
+/**
+ * Infer a Conventional Commit type from the commits, then the branch prefix (feature/, fix/, ...)
+ */
+export const inferTitleType = ({ commits = [], head = '' }, config = getTitleConfig()) => {
+  const counts = {};
+  for (const commit of commits) {
+    const subject = (commit.commit?.message || '').split('\n')[0];
+    const type = normalizeType(subject.replace(LEADING_TICKET, '').match(CONVENTIONAL)?.[1]);
+    if (type && (config.types.length === 0 || config.types.includes(type))) {
+      counts[type] = (counts[type] || 0) + 1;
+    }
+  }
+
+  const [mostCommon] = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  if (mostCommon) return mostCommon[0];
+
+  const branchType = normalizeType(head.includes('/') ? head.split('/')[0] : null);
+  return branchType && config.types.includes(branchType) ? branchType : null;
+};
+
+/**
+ * Fallback title when the LLM is unavailable
+ */
+const fallbackTitle = ({ commits, tickets, head, base }) => {
+  if (commits.length === 1) return commits[0].commit.message.split('\n')[0];
+  const ticket = tickets.find(t => t.found && !t.relation);
+  if (ticket) return ticket.summary;
+  return `Update from ${head} to ${base}`;
+};
+
+/**
+ * Generate a title from commit messages, ticket summaries and changed files
+ */
+export const generateTitle = async ({ commits = [], tickets = [], filesChanged = [], head, base, forceRegenerate = false }, config = getTitleConfig()) => {
+  try {
+    const llm = getLLMClient();
+
+    const commitList = commits.slice(0, 20).map(commit => `- ${commit.commit.message.split('\n')[0]}`).join('\n') || '- None';
+    const ticketList = tickets.filter(ticket => ticket.found && !ticket.relation)
+      .map(ticket => `- ${ticket.key}: ${ticket.summary}`).join('\n') || '- None';
+    const fileList = filesChanged.slice(0, 30).map(file => `- ${file.filename} (${file.status})`).join('\n') || '- None';
+    const format = config.types.length > 0
+      ? `Use Conventional Commits: "type(scope): subject" where type is one of ${config.types.join(', ')} and scope is optional.`
+      : 'Write a plain subject line.';
+
+    const titlePrompt = `You are an expert software engineer assistant. Write a title for a pull request.
+
+Context:
+- Branch: ${head} → ${base}
+
+Commits:
+${commitList}
+
+Tickets:
+${ticketList}
+
+Files changed:
+${fileList}
+
+Instructions:
+- ${format}
+- Use the imperative mood ("Add", "Fix"), no trailing period
+- Keep it under ${getTitleLengthBudget(config)} characters
+- Do not include ticket keys; they are added separately
+- Return only the title on a single line`;
+
+    const response = await invokeWithCache(llm, titlePrompt, { forceRegenerate });
+    const title = response.content.trim().split('\n')[0].replace(/^[-*]\s+/, '').replace(/^["'`]+|["'`]+$/g, '').replace(LEADING_TICKET, '').trim();
+    if (title) return title;
+  } catch (error) {
+    console.warn('Failed to generate PR title with LLM:', error.message);
+  }
+
+  return fallbackTitle({ commits, tickets, head, base });
+};
+
+/**
+ * Append the configured signature (PR_TITLE_SIGNATURE) unless it's already there
+ */
+export const applyTitleSignature = (title, config = getTitleConfig()) => (
+  !config.signature || title.endsWith(config.signature) ? title : `${title}${config.signature}`
+);
+
+/**
+ * Work out the title for a pull request: generate it when missing, then lint it.
+ * Generated titles are always fixed; given titles are fixed or left as-is
+ * depending on the lint mode. Returns { title, generated, original, changes, errors, valid }.
+ */
+export const resolvePullRequestTitle = async ({ title, commits = [], ticketRefs = [], tickets = [], filesChanged = [], head, base, forceRegenerate = false }) => {
+  const config = getTitleConfig();
+  const given = (title || '').trim();
+  const original = config.signature && given.endsWith(config.signature.trim())
+    ? given.slice(0, -config.signature.trim().length).trim()
+    : given;
+  const generated = !original;
+  const candidate = generated ? await generateTitle({ commits, tickets, filesChanged, head, base, forceRegenerate }, config) : original;
+
+  if (config.mode === 'off') {
+    return { title: candidate, generated, original: original || null, changes: [], errors: [], valid: true };
+  }
+
+  let result = { title: candidate, changes: [] };
+  if (lintTitle(candidate, config).length > 0 && (generated || config.mode === 'fix')) {
+    result = fixTitle(candidate, { ticket: findTitleTicket(ticketRefs), type: inferTitleType({ commits, head }, config) }, config);
+  }
+
+  const errors = lintTitle(result.title, config);
+  return {
+    title: result.title,
+    generated,
+    original: original || null,
+    changes: result.changes,
+    errors,
+    valid: errors.length === 0
+  };
+};
+
+/**
+ * Describe title generation and lint results for tool responses
+ */
+export const formatTitleResolution = (resolution) => {
+  const lines = [];
+  if (resolution.generated) lines.push('- Generated from commits, tickets and changed files');
+  if (resolution.changes.length > 0) lines.push(`- Auto-fixed: ${resolution.changes.join(', ')}`);
+  lines.push(...resolution.errors.map(error => `- ⚠️ ${error}`));
+  return lines.join('\n') || '- Title follows the title rules';
+};
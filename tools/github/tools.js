@@ -4,8 +4,30 @@
 
 import { z } from "zod";
 import { DynamicStructuredTool } from "@langchain/core/tools";
-import { validateGitHubToken, handleGitHubError, getGitHubHeaders, GITHUB_API_BASE, DEFAULT_OWNER } from './utils.js';
-import { analyzeCodeDiff } from './analyzer.js';
+import { validateGitHubToken, handleGitHubError, fetchAllPages, GITHUB_API_BASE, DEFAULT_OWNER } from './utils.js';
+import { githubClient, getGitHubHeaders } from './client.js';
+import { analyzePullRequest, fetchComparison } from './analyzer.js';
+import { formatRiskLevel } from './risk.js';
+import { assignReviewers, formatReviewerAssignment } from './reviewers.js';
+import { getLocalComparison } from '../git/index.js';
+import { mergeAiSections, createLineDiff, normalizeLineEndings } from './sections.js';
+import { extractTicketReferences, fetchTicketContext, createTicketCache } from '../trackers/index.js';
+import { resolvePullRequestTitle, applyTitleSignature, formatTitleResolution, findTitleTicket } from './title.js';
+import { parseCommits, detectCommitWarnings, formatCommitWarnings } from './commits.js';
+import { runSecretScan, getSecretScanError, formatSecretFindings } from './secrets.js';
+import { suggestSplit, formatSplitSuggestion } from './split.js';
+import { SEVERITIES, buildReviewBatches, prepareReviewComments, buildReviewBody, buildReviewPayload } from './review.js';
+import { generateReviewFindings, formatGenerationStats } from './summary.js';
+import { GROUP_BY_OPTIONS, fetchMergedPullRequests, buildReleaseEntries, buildReleaseNotes } from './releaseNotes.js';
+import { getCommitConfig, getReviewConfig, getReleaseConfig } from '../../config/prConfig.js';
+import { getDiffBudgetConfig } from '../../config/aiConfig.js';
+import { writeBackToJira, formatWriteBackOutcomes } from '../jira/index.js';
+import { getProgressReporter, createProgressReporter } from './progress.js';
+
+const ON_EXISTING_OPTIONS = ['fail', 'return', 'update'];
+const BRANCH_MAX_PAGES = 10;
+// GitHub lists at most 3000 files of a pull request (30 pages of 100)
+const REVIEW_FILES_MAX_PAGES = 30;
 
 /**
  * Create a new pull request on GitHub with enhanced description
@@ -16,14 +38,20 @@ export const create_pull_request = new DynamicStructuredTool({
   schema: z.object({
     owner: z.string().optional().describe(`The owner of the repository (username or organization). Defaults to '${DEFAULT_OWNER || 'your-org'}' if not specified.`),
     repo: z.string().describe("The name of the repository"),
-    title: z.string().describe("The title of the pull request"),
+    title: z.string().optional().describe("The title of the pull request. Generated from the commits, tickets and diff when omitted; checked against the PR_TITLE_* rules either way"),
     head: z.string().describe("The branch containing the changes you want to merge"),
     base: z.string().describe("The branch you want the changes pulled into (usually 'main' or 'master')"),
     body: z.string().optional().describe("Additional custom description for the pull request (will be prepended to auto-generated content)"),
     draft: z.boolean().optional().describe("Whether this should be a draft pull request (default: false)"),
-    include_diff_analysis: z.boolean().optional().describe("Whether to include automatic code diff analysis in the PR description (default: true)")
+    include_diff_analysis: z.boolean().optional().describe("Whether to include automatic code diff analysis in the PR description (default: true)"),
+    request_reviewers: z.boolean().optional().describe("Whether to request reviewers suggested from CODEOWNERS and recent file history (default: false)"),
+    max_reviewers: z.number().int().min(1).optional().describe("Maximum number of individual reviewers to request (default: 2)"),
+    jira_write_back: z.boolean().optional().describe("After creating the PR, comment on and link every JIRA ticket found in the branch, title and commits (default: false)"),
+    jira_transition: z.string().optional().describe("JIRA workflow transition (or target status) to run on those tickets, e.g. 'In Review'. Defaults to JIRA_WRITE_BACK_TRANSITION; no transition when neither is set"),
+    on_existing: z.enum(ON_EXISTING_OPTIONS).optional().describe("What to do when an open PR for the same head and base already exists, checked before any analysis: 'fail' (default, error with the PR link), 'return' (return the existing PR) or 'update' (regenerate its description like update_pull_request, after the commit and secret checks)"),
+    force_regenerate: z.boolean().optional().describe("Call the LLM again instead of reusing cached text generated for the same diff, tickets, body and model (default: false)")
   }),
-  func: async ({ owner = DEFAULT_OWNER, repo, title, head, base, body = "", draft = false, include_diff_analysis = true }) => {
+  func: async ({ owner = DEFAULT_OWNER, repo, title, head, base, body = "", draft = false, include_diff_analysis = true, request_reviewers = false, max_reviewers = 2, jira_write_back = false, jira_transition = process.env.JIRA_WRITE_BACK_TRANSITION, on_existing = 'fail', force_regenerate = false }, runManager, config) => {
     if (!owner) {
       return {
         success: false,
@@ -34,33 +62,181 @@ export const create_pull_request = new DynamicStructuredTool({
     const tokenValidation = validateGitHubToken();
     if (!tokenValidation.success) return tokenValidation;
 
+    const progress = getProgressReporter(config);
+
     try {
+      // GitHub allows one open PR per head and base; check before paying for the analysis
+      progress.stage('checking_existing');
+      const existing = await findOpenPullRequest(owner, repo, head, base, tokenValidation.token);
+      // "update" regenerates the existing description, after the same commit and secret checks as a new PR
+      const updateExisting = existing && on_existing === 'update';
+      if (existing && !updateExisting) {
+        if (on_existing === 'return') {
+          return {
+            success: true,
+            existing: true,
+            pull_request: {
+              number: existing.number,
+              title: existing.title,
+              url: existing.html_url,
+              state: existing.state,
+              draft: existing.draft,
+              head: existing.head.ref,
+              base: existing.base.ref,
+              created_at: existing.created_at,
+              user: existing.user.login
+            },
+            formatted_response: `ℹ️ **Pull Request Already Exists**
+
+📋 **PR Details:**
+- **Number:** #${existing.number}
+- **Title:** ${existing.title}
+- **Status:** ${existing.state} ${existing.draft ? '(Draft)' : ''}
+- **From:** \`${existing.head.ref}\` → **To:** \`${existing.base.ref}\`
+- **Author:** ${existing.user.login}
+- **Created:** ${new Date(existing.created_at).toLocaleString()}
+
+🔗 **View PR:** ${existing.html_url}`,
+            message: `Pull request #${existing.number} already exists for ${head} → ${base}: ${existing.html_url}`
+          };
+        }
+
+        return {
+          success: false,
+          error: `An open pull request already exists for ${head} → ${base}: #${existing.number} "${existing.title}" (${existing.html_url}). Use on_existing "return" to get it or "update" to regenerate its description.`,
+          existing_pull_request: { number: existing.number, title: existing.title, url: existing.html_url }
+        };
+      }
+
       let finalBody = body;
-      
+
+      // Fetch the comparison once for the title, analysis, reviewer suggestions and JIRA write-back
+      let comparison = null;
+      progress.stage('fetching_diff');
+      try {
+        comparison = await fetchComparison(owner, repo, base, head, tokenValidation.token, updateExisting ? { pullNumber: existing.number } : {});
+      } catch (error) {
+        console.warn('Failed to fetch comparison:', error.message);
+      }
+
+      const commits = comparison?.commits || [];
+
+      // Flag fixup, squash and WIP commits before anything is posted
+      const commitWarnings = getCommitWarnings(commits);
+      if (commitWarnings.length > 0 && getCommitConfig().warnings === 'block') {
+        return {
+          success: false,
+          error: `The branch has commits to clean up before opening a PR:\n${formatCommitWarnings(commitWarnings)}`,
+          commit_warnings: commitWarnings
+        };
+      }
+
+      // Scan the added lines for credentials before the LLM sees the diff or anything is posted
+      const secretScan = runSecretScan(comparison);
+      const secretError = getSecretScanError(secretScan, comparison);
+      if (secretError) {
+        return { success: false, error: secretError, secret_scan: secretScan };
+      }
+
+      // Only the description of an existing PR is refreshed, so its title is not linted
+      if (updateExisting) {
+        const refresh = await refreshPullRequestDescription(existing, { owner, repo, token: tokenValidation.token, body, forceRegenerate: force_regenerate, comparison, secretScan, progress });
+        return {
+          ...refresh,
+          existing: true,
+          commit_warnings: commitWarnings,
+          secret_scan: secretScan,
+          message: `Pull request #${existing.number} already exists for ${head} → ${base}. ${refresh.message}`
+        };
+      }
+
+      // Generate and lint the title before anything is posted (or the description is generated)
+      const ticketCache = createTicketCache();
+      progress.stage('generating_title');
+      const titleRefs = extractTicketReferences([head, title || '', ...commits.map(commit => commit.commit.message)].join('\n'), { owner, repo });
+      const titleResolution = await resolvePullRequestTitle({
+        title,
+        commits,
+        ticketRefs: titleRefs,
+        tickets: title ? [] : await fetchTicketContext(titleRefs, { cache: ticketCache, depth: 0 }),
+        filesChanged: comparison?.files || [],
+        head,
+        base,
+        forceRegenerate: force_regenerate
+      });
+
+      if (!titleResolution.valid) {
+        return {
+          success: false,
+          error: `PR title "${titleResolution.title}" does not follow the title rules:\n${titleResolution.errors.map(error => `- ${error}`).join('\n')}`,
+          title_lint: titleResolution
+        };
+      }
+
       // Add enhanced description if requested
+      let risk = null;
+      let testing = null;
+      let generation = null;
+      let generatedSummary = null;
       if (include_diff_analysis) {
-        const enhancedDescription = await analyzeCodeDiff(owner, repo, head, base, tokenValidation.token, body);
-        finalBody = enhancedDescription;
+        const analysis = await analyzePullRequest(owner, repo, head, base, tokenValidation.token, body, { comparison, ticketCache, forceRegenerate: force_regenerate, progress });
+        finalBody = analysis.description;
+        risk = analysis.risk;
+        testing = analysis.testing;
+        generation = analysis.generation;
+        generatedSummary = analysis.summary;
       }
 
       console.log(`Final body: ${finalBody}`);
       
       // Add AI Agent signature to title
-      const aiSignature = " 🤖";
-      const finalTitle = title.endsWith(aiSignature) ? title : `${title}${aiSignature}`;
+      const finalTitle = applyTitleSignature(titleResolution.title);
       
       const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls`;
       const payload = { title: finalTitle, head, base, body: finalBody, draft };
 
       console.log(`Creating enhanced PR for ${owner}/${repo}: ${finalTitle} (${head} → ${base})`);
+      progress.stage('creating_pr');
 
-      const { default: axios } = await import('axios');
-      const response = await axios.post(url, payload, {
+      const response = await githubClient.post(url, payload, {
         headers: getGitHubHeaders(tokenValidation.token)
       });
 
       const pr = response.data;
 
+      // Request reviewers after the PR exists; failures here don't undo the PR
+      let reviewerAssignment = null;
+      if (request_reviewers) {
+        progress.stage('requesting_reviewers');
+        reviewerAssignment = await assignReviewers({
+          owner,
+          repo,
+          pullNumber: pr.number,
+          author: pr.user.login,
+          files: (comparison?.files || []).map(file => file.filename),
+          base,
+          headers: getGitHubHeaders(tokenValidation.token),
+          maxReviewers: max_reviewers
+        });
+      }
+
+      // Report the PR back to every JIRA ticket it references
+      let jiraWriteBack = null;
+      if (jira_write_back) {
+        progress.stage('updating_jira');
+        const sources = [head, titleResolution.title, ...commits.map(commit => commit.commit.message)];
+        const jiraTickets = extractTicketReferences(sources.join('\n'), { owner, repo })
+          .filter(ref => ref.tracker === 'jira')
+          .map(ref => ref.key);
+
+        jiraWriteBack = await writeBackToJira({
+          tickets: jiraTickets,
+          pullRequest: { number: pr.number, title: pr.title, url: pr.html_url, head: pr.head.ref, base: pr.base.ref },
+          summary: (generatedSummary || body || pr.title).trim(),
+          transition: jira_transition
+        });
+      }
+
       return {
         success: true,
         pull_request: {
@@ -76,6 +252,14 @@ export const create_pull_request = new DynamicStructuredTool({
           body_length: finalBody.length,
           includes_diff_analysis: include_diff_analysis
         },
+        title_lint: titleResolution,
+        commit_warnings: commitWarnings,
+        secret_scan: secretScan,
+        risk,
+        testing,
+        generation,
+        reviewers: reviewerAssignment,
+        jira_write_back: jiraWriteBack,
         formatted_response: `🎉 **Enhanced Pull Request Created Successfully!**
 
 📋 **PR Details:**
@@ -87,7 +271,8 @@ export const create_pull_request = new DynamicStructuredTool({
 - **Created:** ${new Date(pr.created_at).toLocaleString()}
 - **Description Length:** ${finalBody.length} characters
 - **Includes Diff Analysis:** ${include_diff_analysis ? 'Yes' : 'No'}
-
+${risk ? `- **Risk:** ${formatRiskLevel(risk)}
+` : ''}${generation ? `- **Generation:** ${formatGenerationStats(generation)}\n` : ''}
 🔗 **Links:**
 - **View PR:** ${pr.html_url}
 - **Repository:** ${pr.html_url.replace(/\/pull\/.*/, '')}
@@ -97,11 +282,26 @@ export const create_pull_request = new DynamicStructuredTool({
 - 📈 File type analysis
 - 🎫 JIRA ticket links
 - ✅ Review checklist
-
+${titleResolution.generated || titleResolution.changes.length > 0 ? `
+🏷️ **Title:**
+${formatTitleResolution(titleResolution)}
+` : ''}${commitWarnings.length > 0 ? `
+🧹 **Commit Warnings:**
+${formatCommitWarnings(commitWarnings)}
+` : ''}${hasSecretFindings(secretScan) ? `
+🔐 **Possible Secrets:**
+${formatSecretScan(secretScan)}
+` : ''}${reviewerAssignment ? `
+👥 **Reviewers:**
+${formatReviewerAssignment(reviewerAssignment)}
+` : ''}${jiraWriteBack ? `
+🎫 **JIRA Updates:**
+${formatWriteBackOutcomes(jiraWriteBack)}
+` : ''}
 💡 **Next Steps:**
 - Review the enhanced PR description
 - Check the automated analysis
-- Add reviewers if needed
+${reviewerAssignment?.requested ? '- Wait for the requested reviews' : '- Add reviewers if needed'}
 - Merge when ready`,
         message: `Successfully created enhanced pull request #${pr.number}: "${pr.title}" with ${include_diff_analysis ? 'automatic diff analysis' : 'custom description'}`
       };
@@ -140,14 +340,13 @@ export const get_repository_info = new DynamicStructuredTool({
       ];
       
       const headers = getGitHubHeaders(tokenValidation.token);
-      const { default: axios } = await import('axios');
-      const [repoResponse, branchesResponse] = await Promise.all([
-        axios.get(repoUrl, { headers }),
-        axios.get(branchesUrl, { headers })
+      const [repoResponse, branchListing] = await Promise.all([
+        githubClient.get(repoUrl, { headers }),
+        fetchAllPages(branchesUrl, { headers, params: { per_page: 100 }, maxPages: BRANCH_MAX_PAGES })
       ]);
 
       const repoData = repoResponse.data;
-      const branches = branchesResponse.data;
+      const branches = branchListing.pages.flat();
       const branchNames = branches.map(branch => `  - ${branch.name}`).join('\n');
       
       const formattedResponse = `✅ Repository Information for ${repoData.full_name}:
@@ -162,7 +361,7 @@ export const get_repository_info = new DynamicStructuredTool({
 - **Repository:** ${repoData.html_url}
 - **Clone URL:** ${repoData.clone_url}
 
-🌿 **Available Branches (${branches.length} total):**
+🌿 **Available Branches (${branchListing.truncated ? `first ${branches.length} shown; the repository has more` : `${branches.length} total`}):**
 ${branchNames}
 
 💡 **Quick Actions:**
@@ -182,7 +381,8 @@ ${branchNames}
           branches: branches.map(branch => ({
             name: branch.name,
             protected: branch.protected
-          }))
+          })),
+          branches_truncated: branchListing.truncated
         },
         formatted_response: formattedResponse,
         message: formattedResponse
@@ -194,6 +394,152 @@ ${branchNames}
   }
 });
 
+/**
+ * Fixup, squash and WIP commits (empty when PR_COMMIT_WARNINGS=off)
+ */
+const getCommitWarnings = (commits) => {
+  if (getCommitConfig().warnings === 'off') return [];
+  const warnings = detectCommitWarnings(parseCommits(commits));
+  warnings.forEach(warning => console.warn(`Commit warning: ${warning.message}`));
+  return warnings;
+};
+
+const hasSecretFindings = (secretScan) => secretScan.blocking.length > 0 || secretScan.warnings.length > 0
+  || secretScan.unscanned.length > 0 || secretScan.truncated || secretScan.unavailable;
+
+const formatSecretScan = (secretScan) => [
+  formatSecretFindings([...secretScan.blocking, ...secretScan.warnings]),
+  secretScan.unscanned.length > 0 ? `- ⚠️ Not scanned (GitHub sent no diff): ${secretScan.unscanned.map(file => `\`${file}\``).join(', ')}` : '',
+  secretScan.truncated ? '- ⚠️ Not scanned: files beyond the ones GitHub returned for this comparison' : '',
+  secretScan.unavailable ? '- ⚠️ Not scanned: the comparison could not be fetched, so no changes were checked' : ''
+].filter(Boolean).join('\n');
+
+/**
+ * Suggest a title for a summary: generate it when missing and lint it, without rejecting
+ */
+const resolveSuggestedTitle = async ({ owner, repo, title, comparison, head, base, ticketCache, forceRegenerate }) => {
+  const commits = comparison?.commits || [];
+  const ticketRefs = extractTicketReferences([head, title, ...commits.map(commit => commit.commit.message)].join('\n'), { owner, repo });
+  return resolvePullRequestTitle({
+    title,
+    commits,
+    ticketRefs,
+    tickets: title ? [] : await fetchTicketContext(ticketRefs, { cache: ticketCache, depth: 0 }),
+    filesChanged: comparison?.files || [],
+    head,
+    base,
+    forceRegenerate
+  });
+};
+
+/**
+ * Ordered stack of smaller PRs for an oversized comparison (null when it is small enough, unless forced)
+ */
+const getSplitSuggestion = ({ owner, repo, comparison, head, force }) => {
+  const commits = comparison?.commits || [];
+  const ticketRefs = extractTicketReferences([head, ...commits.map(commit => commit.commit.message)].join('\n'), { owner, repo });
+  return suggestSplit(comparison?.files || [], { commits, head, ticket: findTitleTicket(ticketRefs), force });
+};
+
+/**
+ * Generate a PR summary from the local git repository (no GitHub calls)
+ */
+const generateLocalSummary = async ({ owner, repo, head, base, title, body, mode, cwd, forceSplit, forceRegenerate, progress = createProgressReporter() }) => {
+  let comparison;
+  progress.stage('fetching_diff');
+  try {
+    comparison = getLocalComparison({ base, head, mode, cwd });
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to read local git changes: ${error.stderr?.toString().trim() || error.message}`
+    };
+  }
+
+  if (comparison.files.length === 0) {
+    return {
+      success: false,
+      error: `No ${mode === 'range' ? `changes between ${comparison.base} and ${comparison.head}` : `${mode} changes`} found in ${comparison.root}`
+    };
+  }
+
+  // Scan the added lines for credentials before the LLM sees the diff
+  const secretScan = runSecretScan(comparison);
+  const secretError = getSecretScanError(secretScan, comparison);
+  if (secretError) {
+    return { success: false, error: secretError, secret_scan: secretScan };
+  }
+
+  const ticketCache = createTicketCache();
+  progress.stage('generating_title');
+  const titleResolution = await resolveSuggestedTitle({ owner, repo, title, comparison, head: comparison.head, base: comparison.base, ticketCache, forceRegenerate });
+  const { description: enhancedDescription, risk, testing, generation } = await analyzePullRequest(owner, repo, comparison.head, comparison.base, null, body, { comparison, ticketCache, forceRegenerate, progress });
+  const suggestedTitle = titleResolution.title;
+  const commitWarnings = getCommitWarnings(comparison.commits);
+  const split = getSplitSuggestion({ owner, repo, comparison, head: comparison.head, force: forceSplit });
+  const source = {
+    range: `\`${comparison.head}\` → \`${comparison.base}\` (local commits)`,
+    staged: `Staged changes on \`${comparison.head}\``,
+    uncommitted: `Uncommitted changes on \`${comparison.head}\``
+  }[mode];
+
+  const formattedResponse = `📋 **PR Summary Generated Successfully (Local Mode)!**
+
+🎯 **Analysis Details:**
+- **Repository:** ${comparison.root}
+- **Comparison:** ${source}
+- **Files Changed:** ${comparison.files.length} (+${comparison.stats.additions}/-${comparison.stats.deletions})
+- **Suggested Title:** ${suggestedTitle}
+${risk ? `- **Risk:** ${formatRiskLevel(risk)}\n` : ''}${generation ? `- **Generation:** ${formatGenerationStats(generation)}\n` : ''}- **Analysis Generated:** ${new Date().toLocaleString()}
+
+🏷️ **Title:**
+${formatTitleResolution(titleResolution)}
+${commitWarnings.length > 0 ? `
+🧹 **Commit Warnings:**
+${formatCommitWarnings(commitWarnings)}
+` : ''}${hasSecretFindings(secretScan) ? `
+🔐 **Possible Secrets:**
+${formatSecretScan(secretScan)}
+` : ''}${split ? `
+✂️ **Suggested Split:**
+${formatSplitSuggestion(split)}
+` : ''}
+---
+
+## 📝 **Generated PR Description:**
+
+${enhancedDescription}
+
+---
+
+💡 **Next Steps:**
+- Keep iterating locally; nothing was sent to GitHub
+- Push the branch and use create_pull_request when the description looks right`;
+
+  return {
+    success: true,
+    summary: {
+      repository: repo ? `${owner}/${repo}` : comparison.root,
+      local: true,
+      local_mode: mode,
+      head_branch: comparison.head,
+      base_branch: comparison.base,
+      suggested_title: suggestedTitle,
+      title_lint: titleResolution,
+      commit_warnings: commitWarnings,
+      secret_scan: secretScan,
+      split_suggestion: split,
+      risk,
+      testing,
+      generation,
+      generated_description: enhancedDescription,
+      analysis_timestamp: new Date().toISOString()
+    },
+    formatted_response: formattedResponse,
+    message: `Successfully generated local PR summary for ${comparison.root} (${mode})`
+  };
+};
+
 /**
  * Generate PR summary for a branch comparison
  */
@@ -202,13 +548,31 @@ export const generate_pr_summary = new DynamicStructuredTool({
   description: "Generate a detailed PR summary for a branch comparison without creating the actual PR. This tool analyzes code changes, generates enhanced descriptions, and provides comprehensive analysis including JIRA ticket context, file changes, and impact assessment. Returns formatted response that should be displayed directly to the user.",
   schema: z.object({
     owner: z.string().optional().describe(`The owner of the repository (username or organization). Defaults to '${DEFAULT_OWNER || 'your-org'}' if not specified.`),
-    repo: z.string().describe("The name of the repository"),
-    head: z.string().describe("The branch containing the changes you want to analyze"),
-    base: z.string().describe("The branch you want to compare against (usually 'main' or 'master')"),
-    title: z.string().optional().describe("Optional title for the PR (used for context in analysis)"),
-    body: z.string().optional().describe("Additional custom description for context in the analysis")
+    repo: z.string().optional().describe("The name of the repository (required unless local is true)"),
+    head: z.string().optional().describe("The branch containing the changes you want to analyze (required unless local is true; defaults to the current branch in local mode)"),
+    base: z.string().optional().describe("The branch you want to compare against (usually 'main' or 'master'; required unless local_mode is 'staged' or 'uncommitted')"),
+    title: z.string().optional().describe("Optional title for the PR; checked against the title rules. A title is generated from the commits, tickets and diff when omitted"),
+    body: z.string().optional().describe("Additional custom description for context in the analysis"),
+    local: z.boolean().optional().describe("Analyze the local git repository instead of GitHub; works on unpushed branches and needs no GitHub token (default: false)"),
+    local_mode: z.enum(['range', 'staged', 'uncommitted']).optional().describe("What to analyze in local mode: committed changes in base...head ('range'), staged changes ('staged'), or all working-tree changes including untracked files ('uncommitted'). Default: 'range'"),
+    repo_path: z.string().optional().describe("Path to the local repository (default: current working directory)"),
+    suggest_split: z.boolean().optional().describe("Propose an ordered stack of smaller PRs even when the change is below the PR_SPLIT_* size thresholds (default: only for oversized changes)"),
+    force_regenerate: z.boolean().optional().describe("Call the LLM again instead of reusing cached text generated for the same diff, tickets, body and model (default: false)")
   }),
-  func: async ({ owner = DEFAULT_OWNER, repo, head, base, title = "", body = "" }) => {
+  func: async ({ owner = DEFAULT_OWNER, repo, head, base, title = "", body = "", local = false, local_mode = 'range', repo_path, suggest_split = false, force_regenerate = false }, runManager, config) => {
+    const progress = getProgressReporter(config);
+
+    if (local) {
+      return generateLocalSummary({ owner, repo, head, base, title, body, mode: local_mode, cwd: repo_path, forceSplit: suggest_split, forceRegenerate: force_regenerate, progress });
+    }
+
+    if (!repo || !head || !base) {
+      return {
+        success: false,
+        error: "repo, head and base are required. Set local to true to analyze the local repository instead."
+      };
+    }
+
     if (!owner) {
       return {
         success: false,
@@ -220,18 +584,33 @@ export const generate_pr_summary = new DynamicStructuredTool({
     if (!tokenValidation.success) return tokenValidation;
 
     try {
+      // Fetch the comparison once for the title and the description
+      progress.stage('fetching_diff');
+      const comparison = await fetchComparison(owner, repo, base, head, tokenValidation.token);
+
+      // Scan the added lines for credentials before the LLM sees the diff
+      const secretScan = runSecretScan(comparison);
+      const secretError = getSecretScanError(secretScan, comparison);
+      if (secretError) {
+        return { success: false, error: secretError, secret_scan: secretScan };
+      }
+
+      const ticketCache = createTicketCache();
+      progress.stage('generating_title');
+      const titleResolution = await resolveSuggestedTitle({ owner, repo, title, comparison, head, base, ticketCache, forceRegenerate: force_regenerate });
+
       // Generate enhanced description using existing logic
-      const enhancedDescription = await analyzeCodeDiff(owner, repo, head, base, tokenValidation.token, body);
+      const { description: enhancedDescription, risk, testing, generation } = await analyzePullRequest(owner, repo, head, base, tokenValidation.token, body, { comparison, ticketCache, forceRegenerate: force_regenerate, progress });
       
       // Get additional repository context
       const repoUrl = `${GITHUB_API_BASE}/repos/${owner}/${repo}`;
       const headers = getGitHubHeaders(tokenValidation.token);
-      const { default: axios } = await import('axios');
-      const repoResponse = await axios.get(repoUrl, { headers });
+      const repoResponse = await githubClient.get(repoUrl, { headers });
       const repoData = repoResponse.data;
 
-      // Generate a suggested title if not provided
-      const suggestedTitle = title || `Update from ${head} to ${base}`;
+      const suggestedTitle = titleResolution.title;
+      const commitWarnings = getCommitWarnings(comparison.commits || []);
+      const split = getSplitSuggestion({ owner, repo, comparison, head, force: suggest_split });
 
       const formattedResponse = `📋 **PR Summary Generated Successfully!**
 
@@ -239,8 +618,20 @@ export const generate_pr_summary = new DynamicStructuredTool({
 - **Repository:** ${repoData.full_name}
 - **Comparison:** \`${head}\` → \`${base}\`
 - **Suggested Title:** ${suggestedTitle}
-- **Analysis Generated:** ${new Date().toLocaleString()}
+${risk ? `- **Risk:** ${formatRiskLevel(risk)}\n` : ''}${generation ? `- **Generation:** ${formatGenerationStats(generation)}\n` : ''}- **Analysis Generated:** ${new Date().toLocaleString()}
 
+🏷️ **Title:**
+${formatTitleResolution(titleResolution)}
+${commitWarnings.length > 0 ? `
+🧹 **Commit Warnings:**
+${formatCommitWarnings(commitWarnings)}
+` : ''}${hasSecretFindings(secretScan) ? `
+🔐 **Possible Secrets:**
+${formatSecretScan(secretScan)}
+` : ''}${split ? `
+✂️ **Suggested Split:**
+${formatSplitSuggestion(split)}
+` : ''}
 ---
 
 ## 📝 **Generated PR Description:**
@@ -266,6 +657,14 @@ ${enhancedDescription}
           head_branch: head,
           base_branch: base,
           suggested_title: suggestedTitle,
+          title_lint: titleResolution,
+          commit_warnings: commitWarnings,
+          secret_scan: secretScan,
+          split_suggestion: split,
+          truncation: comparison.truncation,
+          risk,
+          testing,
+          generation,
           generated_description: enhancedDescription,
           analysis_timestamp: new Date().toISOString()
         },
@@ -278,3 +677,403 @@ ${enhancedDescription}
     }
   }
 });
+
+/**
+ * Open pull request for the same head and base, or null.
+ * `head` may already be qualified as "user:branch" (forks).
+ */
+const findOpenPullRequest = async (owner, repo, head, base, token) => {
+  const response = await githubClient.get(`${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls`, {
+    headers: getGitHubHeaders(token),
+    params: { state: 'open', head: head.includes(':') ? head : `${owner}:${head}`, base, per_page: 1 }
+  });
+  return response.data[0] || null;
+};
+
+/**
+ * Regenerate the AI sections of an open pull request's description and update it unless previewing.
+ * `comparison` and `secretScan` reuse a comparison the caller already fetched and scanned;
+ * without them the comparison is fetched and scanned here.
+ */
+const refreshPullRequestDescription = async (pr, { owner, repo, token, body = "", preview = false, overwriteUnmarked = false, forceRegenerate = false, comparison, secretScan, progress = createProgressReporter() }) => {
+  // Cross-repository PRs have to be compared by label (user:branch)
+  const isFork = pr.head.repo && pr.head.repo.full_name !== pr.base.repo.full_name;
+  const head = isFork ? pr.head.label : pr.head.ref;
+
+  // The description can quote the code, so scan the added lines before the LLM sees them
+  if (!comparison) {
+    progress.stage('fetching_diff');
+    comparison = await fetchComparison(owner, repo, pr.base.ref, head, token, { pullNumber: pr.number });
+    secretScan = runSecretScan(comparison);
+    const secretError = getSecretScanError(secretScan, comparison);
+    if (secretError) {
+      return { success: false, error: secretError, secret_scan: secretScan };
+    }
+  }
+  const { description: generatedBody, risk, testing, generation } = await analyzePullRequest(owner, repo, head, pr.base.ref, token, body, { comparison, pullNumber: pr.number, forceRegenerate, progress });
+
+  const currentBody = normalizeLineEndings(pr.body);
+  const merge = mergeAiSections(currentBody, generatedBody, { overwriteUnmarked });
+  const diff = createLineDiff(currentBody, merge.body);
+  const changed = merge.body !== currentBody;
+
+  if (!preview && changed) {
+    progress.stage('updating_pr');
+    await githubClient.patch(`${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pr.number}`, { body: merge.body }, { headers: getGitHubHeaders(token) });
+  }
+
+  const status = preview ? 'Preview only - PR not updated' : (changed ? 'Description updated' : 'Description already up to date');
+
+  const formattedResponse = `🔄 **Pull Request Description ${preview ? 'Preview' : 'Refresh'}**
+
+📋 **PR Details:**
+- **Number:** #${pr.number}
+- **Title:** ${pr.title}
+- **From:** \`${pr.head.ref}\` → **To:** \`${pr.base.ref}\`
+- **Status:** ${status}
+${risk ? `- **Risk:** ${formatRiskLevel(risk)}
+` : ''}${generation ? `- **Generation:** ${formatGenerationStats(generation)}\n` : ''}
+✏️ **Sections:**
+- **Regenerated:** ${merge.updated.length > 0 ? merge.updated.join(', ') : 'None'}
+- **Kept (edited by a human):** ${merge.preserved.length > 0 ? merge.preserved.join(', ') : 'None'}
+- **Added:** ${merge.added.length > 0 ? merge.added.join(', ') : 'None'}
+- **Removed (no longer generated):** ${merge.removed.length > 0 ? merge.removed.join(', ') : 'None'}
+${secretScan && hasSecretFindings(secretScan) ? `
+🔐 **Possible Secrets:**
+${formatSecretScan(secretScan)}
+` : ''}${merge.unmarked ? `\n⚠️ The existing description had no AI section markers, so it was ${overwriteUnmarked ? 'replaced' : 'kept and the generated content was appended'}.\n` : ''}
+${diff ? `📝 **Description Diff:**
+\`\`\`diff
+${diff}
+\`\`\`` : '📝 **Description Diff:** No changes'}
+
+🔗 **View PR:** ${pr.html_url}`;
+
+  return {
+    success: true,
+    pull_request: {
+      number: pr.number,
+      title: pr.title,
+      url: pr.html_url,
+      head: pr.head.ref,
+      base: pr.base.ref,
+      updated: !preview && changed
+    },
+    sections: {
+      regenerated: merge.updated,
+      preserved: merge.preserved,
+      added: merge.added,
+      removed: merge.removed,
+      unmarked: merge.unmarked
+    },
+    risk,
+    testing,
+    generation,
+    secret_scan: secretScan,
+    preview,
+    diff,
+    new_body: merge.body,
+    formatted_response: formattedResponse,
+    message: preview
+      ? `Generated description preview for pull request #${pr.number}`
+      : `${changed ? 'Updated' : 'No changes to'} description of pull request #${pr.number}`
+  };
+};
+
+/**
+ * Regenerate the description of an existing pull request
+ */
+export const update_pull_request = new DynamicStructuredTool({
+  name: "update_pull_request",
+  description: "Regenerate the description of an existing pull request from its current head. Only AI-owned sections (marked with hidden HTML comments) that nobody has edited are rewritten; anything a human wrote or changed is kept. Use preview to get a diff of the old and new description without updating the PR. Returns formatted response that should be displayed directly to the user.",
+  schema: z.object({
+    owner: z.string().optional().describe(`The owner of the repository (username or organization). Defaults to '${DEFAULT_OWNER || 'your-org'}' if not specified.`),
+    repo: z.string().describe("The name of the repository"),
+    pull_number: z.number().int().describe("The number of the pull request to update"),
+    body: z.string().optional().describe("Additional custom description for context in the analysis"),
+    preview: z.boolean().optional().describe("Only return a diff of the old and new description without updating the PR (default: false)"),
+    overwrite_unmarked: z.boolean().optional().describe("Replace the whole description when it has no AI section markers instead of appending the generated content (default: false)"),
+    force_regenerate: z.boolean().optional().describe("Call the LLM again instead of reusing cached text generated for the same diff, tickets, body and model (default: false)")
+  }),
+  func: async ({ owner = DEFAULT_OWNER, repo, pull_number, body = "", preview = false, overwrite_unmarked = false, force_regenerate = false }, runManager, config) => {
+    if (!owner) {
+      return {
+        success: false,
+        error: "Repository owner is required. Please set GITHUB_OWNER environment variable or provide owner parameter."
+      };
+    }
+
+    const tokenValidation = validateGitHubToken();
+    if (!tokenValidation.success) return tokenValidation;
+
+    try {
+      const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pull_number}`;
+      const headers = getGitHubHeaders(tokenValidation.token);
+      const prResponse = await githubClient.get(url, { headers });
+      const pr = prResponse.data;
+
+      if (pr.state !== 'open') {
+        return {
+          success: false,
+          error: `Pull request #${pull_number} is ${pr.state}; only open pull requests can be updated.`
+        };
+      }
+
+      return await refreshPullRequestDescription(pr, { owner, repo, token: tokenValidation.token, body, preview, overwriteUnmarked: overwrite_unmarked, forceRegenerate: force_regenerate, progress: getProgressReporter(config) });
+
+    } catch (error) {
+      return handleGitHubError(error, 'update pull request');
+    }
+  }
+});
+
+/**
+ * Review the code of a pull request and post the findings as one review with inline comments
+ */
+export const review_pull_request = new DynamicStructuredTool({
+  name: "review_pull_request",
+  description: "Review the code changes of a pull request with the LLM and submit the findings (bugs, missing error handling, risky patterns) as inline comments in a single GitHub review. Use dry_run to only return the comments. Returns formatted response that should be displayed directly to the user.",
+  schema: z.object({
+    owner: z.string().optional().describe(`The owner of the repository (username or organization). Defaults to '${DEFAULT_OWNER || 'your-org'}' if not specified.`),
+    repo: z.string().describe("The name of the repository"),
+    pull_number: z.number().int().describe("The number of the pull request to review"),
+    min_severity: z.enum(SEVERITIES).optional().describe("Lowest severity to post: low, medium, high or critical (default: PR_REVIEW_MIN_SEVERITY or 'medium')"),
+    max_comments: z.number().int().min(1).optional().describe("Maximum number of inline comments in the review, most severe first (default: PR_REVIEW_MAX_COMMENTS or 15)"),
+    dry_run: z.boolean().optional().describe("Only return the review comments without submitting the review (default: false)")
+  }),
+  func: async ({ owner = DEFAULT_OWNER, repo, pull_number, min_severity, max_comments, dry_run = false }) => {
+    if (!owner) {
+      return {
+        success: false,
+        error: "Repository owner is required. Please set GITHUB_OWNER environment variable or provide owner parameter."
+      };
+    }
+
+    const tokenValidation = validateGitHubToken();
+    if (!tokenValidation.success) return tokenValidation;
+
+    try {
+      const reviewConfig = getReviewConfig();
+      const minSeverity = min_severity || reviewConfig.minSeverity;
+      const maxComments = max_comments || reviewConfig.maxComments;
+
+      const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pull_number}`;
+      const headers = getGitHubHeaders(tokenValidation.token);
+      const pr = (await githubClient.get(url, { headers })).data;
+      const listing = await fetchAllPages(`${url}/files`, { headers, params: { per_page: 100 }, maxPages: REVIEW_FILES_MAX_PAGES });
+      const files = listing.pages.flat();
+      const filesTruncated = listing.truncated || pr.changed_files > files.length
+        ? { returned: files.length, total: pr.changed_files ?? null }
+        : null;
+
+      // Review comments can quote the code, so scan the added lines before the LLM sees them
+      const listed = { files, truncation: { files: filesTruncated } };
+      const secretScan = runSecretScan(listed);
+      const secretError = getSecretScanError(secretScan, listed);
+      if (secretError) {
+        return { success: false, error: secretError, secret_scan: secretScan };
+      }
+
+      const { batches, skipped, omitted } = buildReviewBatches(files, getDiffBudgetConfig());
+      if (batches.length === 0) {
+        return {
+          success: false,
+          error: `Pull request #${pull_number} has no reviewable code changes (only deleted, binary, generated or lock files).`
+        };
+      }
+
+      const { findings, failedFiles, generation } = await generateReviewFindings(batches, {
+        title: pr.title,
+        description: pr.body || '',
+        head: pr.head.ref,
+        base: pr.base.ref
+      });
+      if (failedFiles.length === batches.flatMap(batch => batch.files).length) {
+        return {
+          success: false,
+          error: 'The LLM review failed for every file, so no review was submitted. Check the AI provider configuration.'
+        };
+      }
+
+      const prepared = prepareReviewComments(findings, files, { minSeverity, maxComments });
+      const reviewBody = buildReviewBody(prepared, { minSeverity, skipped, omitted, failed: failedFiles, filesTruncated });
+
+      let review = null;
+      if (!dry_run) {
+        const response = await githubClient.post(`${url}/reviews`, buildReviewPayload(prepared.comments, reviewBody, pr.head.sha), { headers });
+        review = { id: response.data.id, url: response.data.html_url, state: response.data.state };
+      }
+
+      const comments = prepared.comments.map(({ path, line, side, severity, category, title, comment_body }) => ({ path, line, side, severity, category, title, body: comment_body }));
+      const commentList = comments.length > 0
+        ? comments.map(comment => `- \`${comment.path}:${comment.line}\` **${comment.severity}** ${comment.title}`).join('\n')
+        : `- No findings at ${minSeverity} severity or above`;
+
+      const formattedResponse = `🔍 **AI Code Review ${dry_run ? 'Preview' : 'Submitted'}**
+
+📋 **PR Details:**
+- **Number:** #${pr.number}
+- **Title:** ${pr.title}
+- **From:** \`${pr.head.ref}\` → **To:** \`${pr.base.ref}\`
+- **Status:** ${dry_run ? 'Dry run - nothing was posted' : `Review submitted with ${comments.length} inline comment${comments.length === 1 ? '' : 's'}`}
+- **Findings:** ${findings.length} found, ${comments.length} inline, ${prepared.unmapped.length} outside the diff, ${prepared.belowThreshold.length} below ${minSeverity}, ${prepared.overLimit.length} over the limit of ${maxComments}
+- **Generation:** ${formatGenerationStats(generation)}
+
+💬 **Comments:**
+${commentList}
+${failedFiles.length > 0 ? `\n⚠️ **Not reviewed (LLM error):** ${failedFiles.join(', ')}\n` : ''}${filesTruncated ? `\n⚠️ **Not reviewed (file listing capped):** GitHub listed only ${filesTruncated.returned}${filesTruncated.total ? ` of ${filesTruncated.total}` : ''} changed files\n` : ''}${omitted.length > 0 ? `\n⚠️ **Not reviewed (diff too large):** ${omitted.join(', ')}\n` : ''}
+🔗 **View ${review ? 'Review' : 'PR'}:** ${review?.url || pr.html_url}`;
+
+      return {
+        success: true,
+        pull_request: {
+          number: pr.number,
+          title: pr.title,
+          url: pr.html_url,
+          head: pr.head.ref,
+          base: pr.base.ref
+        },
+        review,
+        dry_run,
+        comments,
+        unmapped_findings: prepared.unmapped,
+        filtered: {
+          below_severity: prepared.belowThreshold.length,
+          over_limit: prepared.overLimit.length
+        },
+        review_body: reviewBody,
+        files_truncated: filesTruncated,
+        secret_scan: secretScan,
+        generation,
+        formatted_response: formattedResponse,
+        message: dry_run
+          ? `Prepared ${comments.length} review comments for pull request #${pr.number} (dry run)`
+          : `Submitted a review with ${comments.length} inline comments on pull request #${pr.number}`
+      };
+
+    } catch (error) {
+      return handleGitHubError(error, 'review pull request');
+    }
+  }
+});
+
+/**
+ * Generate release notes for the pull requests merged between two refs
+ */
+export const generate_release_notes = new DynamicStructuredTool({
+  name: "generate_release_notes",
+  description: "Generate release notes / a CHANGELOG.md entry for everything merged between two tags or refs (e.g. v1.4.0...v1.5.0): finds the merged pull requests and their linked tickets, groups them by Conventional Commit type, label or ticket type and flags breaking changes. Can create a draft GitHub release with the notes. Returns formatted response that should be displayed directly to the user.",
+  schema: z.object({
+    owner: z.string().optional().describe(`The owner of the repository (username or organization). Defaults to '${DEFAULT_OWNER || 'your-org'}' if not specified.`),
+    repo: z.string().describe("The name of the repository"),
+    from: z.string().describe("The previous release tag or ref (e.g. 'v1.4.0'), or a range like 'v1.4.0...v1.5.0'"),
+    to: z.string().optional().describe("The new release tag or ref (e.g. 'v1.5.0' or 'main'); required unless 'from' is a range"),
+    version: z.string().optional().describe("Version shown in the heading and used as the release tag (default: 'to')"),
+    group_by: z.enum(GROUP_BY_OPTIONS).optional().describe("Group entries by Conventional Commit 'type', first 'label' or linked 'ticket_type' (default: PR_RELEASE_GROUP_BY or 'type')"),
+    include_direct_commits: z.boolean().optional().describe("Also list commits pushed without a pull request (default: true)"),
+    create_release: z.boolean().optional().describe("Create a draft GitHub release with the notes (default: false)")
+  }),
+  func: async ({ owner = DEFAULT_OWNER, repo, from, to, version, group_by, include_direct_commits = true, create_release = false }) => {
+    if (!owner) {
+      return {
+        success: false,
+        error: "Repository owner is required. Please set GITHUB_OWNER environment variable or provide owner parameter."
+      };
+    }
+
+    const [fromRef, toRef] = from.includes('...') && !to ? from.split('...') : [from, to];
+    if (!fromRef || !toRef) {
+      return {
+        success: false,
+        error: "Both refs are required: pass 'from' and 'to', or a range like 'v1.4.0...v1.5.0' as 'from'."
+      };
+    }
+
+    const tokenValidation = validateGitHubToken();
+    if (!tokenValidation.success) return tokenValidation;
+
+    try {
+      const groupBy = group_by || getReleaseConfig().groupBy;
+      const releaseVersion = version || toRef;
+      const headers = getGitHubHeaders(tokenValidation.token);
+
+      const comparison = await fetchComparison(owner, repo, fromRef, toRef, tokenValidation.token);
+      const commits = comparison.commits || [];
+      const merged = await fetchMergedPullRequests(owner, repo, commits, headers);
+      const entries = await buildReleaseEntries(merged, {
+        owner,
+        repo,
+        ticketCache: createTicketCache(),
+        includeDirectCommits: include_direct_commits
+      });
+
+      // Very long ranges stop at fetchComparison's page limit; the notes themselves say so
+      const truncated = Boolean(comparison.truncation?.commits);
+      if (truncated) {
+        console.warn(`Comparison ${fromRef}...${toRef} has ${comparison.total_commits} commits; only ${commits.length} were analyzed`);
+      }
+
+      const releaseNotes = buildReleaseNotes({
+        version: releaseVersion,
+        compareUrl: comparison.html_url,
+        date: new Date().toISOString().slice(0, 10),
+        entries,
+        groupBy,
+        truncation: comparison.truncation?.commits
+      });
+
+      let release = null;
+      if (create_release) {
+        const response = await githubClient.post(`${GITHUB_API_BASE}/repos/${owner}/${repo}/releases`, {
+          tag_name: releaseVersion,
+          // Only used when the tag does not exist yet
+          target_commitish: commits.length > 0 && !truncated ? commits[commits.length - 1].sha : toRef,
+          name: releaseVersion,
+          body: releaseNotes,
+          draft: true
+        }, { headers });
+        release = { id: response.data.id, url: response.data.html_url, tag_name: response.data.tag_name, draft: response.data.draft };
+      }
+
+      const breaking = entries.filter(entry => entry.breaking);
+      const formattedResponse = `📦 **Release Notes ${release ? 'Drafted' : 'Generated'}**
+
+📋 **Release Details:**
+- **Repository:** ${owner}/${repo}
+- **Range:** \`${fromRef}\` → \`${toRef}\`
+- **Pull Requests:** ${merged.pullRequests.length}
+- **Direct Commits:** ${merged.directCommits.length}${include_direct_commits ? '' : ' (not listed)'}
+- **Breaking Changes:** ${breaking.length}
+- **Grouped By:** ${groupBy}
+${truncated ? `\n⚠️ The range has ${comparison.total_commits} commits; only the first ${commits.length} were analyzed.\n` : ''}
+---
+
+${releaseNotes}
+
+---
+${release ? `
+🔗 **Draft Release:** ${release.url}
+` : `
+💡 **Next Steps:**
+- Paste the notes into CHANGELOG.md or a GitHub release
+- Run again with create_release to draft the GitHub release
+`}`;
+
+      return {
+        success: true,
+        range: { from: fromRef, to: toRef, total_commits: comparison.total_commits, analyzed_commits: commits.length, truncated },
+        version: releaseVersion,
+        group_by: groupBy,
+        entries,
+        breaking_changes: breaking.map(entry => entry.number ? `#${entry.number}` : entry.sha),
+        release_notes: releaseNotes,
+        release,
+        formatted_response: formattedResponse,
+        message: `Generated release notes for ${owner}/${repo} ${fromRef}...${toRef} with ${entries.length} entries${release ? ` and drafted release ${release.tag_name}` : ''}`
+      };
+
+    } catch (error) {
+      return handleGitHubError(error, 'generate release notes');
+    }
+  }
+});
@@ -6,18 +6,45 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+import { githubClient } from './client.js';
+import { matchTicketKeys } from '../trackers/utils.js';
+
+// Headers live with the shared client; re-exported for existing imports
+export { getGitHubHeaders } from './client.js';
+
 // GitHub API configuration
 export const GITHUB_API_BASE = process.env.GITHUB_API_BASE;
 export const DEFAULT_OWNER = process.env.GITHUB_OWNER;
 
 /**
- * Get GitHub headers for API requests
+ * Parse a Link header into { next, prev, first, last } URLs
  */
-export const getGitHubHeaders = (token) => ({
-  'Authorization': `token ${token}`,
-  'Accept': 'application/vnd.github.v3+json',
-  'Content-Type': 'application/json'
-});
+export const parseLinkHeader = (header) => {
+  const links = {};
+  for (const part of (header || '').split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) links[match[2]] = match[1];
+  }
+  return links;
+};
+
+/**
+ * Fetch a paginated GitHub endpoint by following Link rel="next".
+ * Returns { pages: [response data per page], truncated } where `truncated`
+ * means more pages existed beyond `maxPages`.
+ */
+export const fetchAllPages = async (url, { headers, params = {}, maxPages = 10 }) => {
+  const pages = [];
+  // The next links already carry the query string
+  let next = { url, params };
+  while (next && pages.length < maxPages) {
+    const response = await githubClient.get(next.url, { headers, params: next.params });
+    pages.push(response.data);
+    const nextUrl = parseLinkHeader(response.headers?.link).next;
+    next = nextUrl ? { url: nextUrl } : null;
+  }
+  return { pages, truncated: Boolean(next) };
+};
 
 /**
  * Validate GitHub token
@@ -43,12 +70,23 @@ export const handleGitHubError = (error, operation) => {
   if (error.response) {
     const status = error.response.status;
     const errorData = error.response.data;
+
+    // The client already waited as long as GITHUB_MAX_RETRY_WAIT_MS allows
+    if ((status === 403 || status === 429) && (error.response.headers?.['x-ratelimit-remaining'] === '0' || /rate limit/i.test(errorData?.message || ''))) {
+      const reset = Number(error.response.headers?.['x-ratelimit-reset']);
+      return {
+        success: false,
+        error: `GitHub API error (${status}): Rate limit exceeded.${reset ? ` It resets at ${new Date(reset * 1000).toLocaleTimeString()}.` : ' Try again in a minute.'}`,
+        details: errorData
+      };
+    }
     
     const errorMessages = {
       401: "Authentication failed. Check your GitHub token.",
       403: "Access forbidden. Token may lack required permissions.",
       404: "Repository not found or you don't have access to it.",
-      422: "Validation failed. " + (errorData.message || "Check your parameters.")
+      // Details such as "A pull request already exists for org:branch." are in errors[]
+      422: "Validation failed. " + ([errorData.message, ...(errorData.errors || []).map(item => item.message)].filter(Boolean).join(' ') || "Check your parameters.")
     };
     
     return {
@@ -64,15 +102,39 @@ export const handleGitHubError = (error, operation) => {
   };
 };
 
+/**
+ * Fetch a text file from a repository through the contents API.
+ * Returns null when the file does not exist.
+ */
+export const fetchRepositoryFile = async (owner, repo, path, headers, ref) => {
+  const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/contents/${path}`;
+  try {
+    const response = await githubClient.get(url, { headers, params: ref ? { ref } : {} });
+    const data = response.data;
+    if (Array.isArray(data)) {
+      return { type: 'dir', path, entries: data };
+    }
+    return {
+      type: 'file',
+      path: data.path,
+      content: Buffer.from(data.content || '', data.encoding || 'base64').toString('utf8')
+    };
+  } catch (error) {
+    if (error.response && error.response.status === 404) return null;
+    throw error;
+  }
+};
+
 /**
  * Extract JIRA ticket numbers from text
  */
 export const extractJiraTickets = (text) => {
-  // Common JIRA ticket patterns: ABC-123, PROJECT-456, TICKET-789
-  // Updated pattern to handle various separators after ticket numbers including forward slashes
-  const jiraPattern = /\b([A-Z][A-Z0-9]*-\d+)(?=[_\-\s\/]|$)/g;
-  const matches = text.match(jiraPattern) || [];
-  return [...new Set(matches)]; // Remove duplicates
+  // Common JIRA ticket patterns: ABC-123, PROJECT-456, TICKET-789; JIRA_PROJECT_KEYS narrows them to known projects
+  const projectKeys = (process.env.JIRA_PROJECT_KEYS || '')
+    .split(',')
+    .map(key => key.trim().toUpperCase())
+    .filter(Boolean);
+  return matchTicketKeys(text, projectKeys);
 };
 
 /**
@@ -0,0 +1,175 @@
+/**
+ * GitHub webhook handling
+ *
+ * Verifies delivery signatures, de-duplicates redeliveries and runs the
+ * analyzer on pull_request events, so PRs opened from the GitHub UI or `gh`
+ * get a generated description (or a summary comment) too.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { GITHUB_API_BASE, fetchAllPages } from './utils.js';
+import { githubClient, getGitHubHeaders } from './client.js';
+import { analyzePullRequest, fetchComparison } from './analyzer.js';
+import { runSecretScan, getSecretScanError } from './secrets.js';
+import { mergeAiSections, parseAiSections, normalizeLineEndings } from './sections.js';
+
+export const SUMMARY_COMMENT_MARKER = '<!-- pr-copilot:summary -->';
+
+const DELIVERY_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_DELIVERIES = 5000;
+// Busy PRs bury the summary comment; look through up to 3000 comments (30 pages of 100)
+const COMMENTS_MAX_PAGES = 30;
+
+/**
+ * Check the X-Hub-Signature-256 header against the raw request body
+ */
+export const verifyWebhookSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+  const expected = Buffer.from(`sha256=${createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const received = Buffer.from(signature);
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+/**
+ * In-memory record of processed delivery IDs (X-GitHub-Delivery).
+ * `claim` returns false for a delivery that was already seen; `release` forgets
+ * a delivery whose processing failed so a redelivery can retry it.
+ */
+export const createDeliveryTracker = ({ ttlMs = DELIVERY_TTL_MS, maxEntries = MAX_DELIVERIES } = {}) => {
+  const deliveries = new Map();
+
+  const prune = (now) => {
+    for (const [id, seenAt] of deliveries) {
+      if (now - seenAt < ttlMs && deliveries.size <= maxEntries) break;
+      deliveries.delete(id);
+    }
+  };
+
+  return {
+    claim: (id) => {
+      const now = Date.now();
+      prune(now);
+      if (deliveries.has(id)) return false;
+      deliveries.set(id, now);
+      return true;
+    },
+    release: (id) => deliveries.delete(id)
+  };
+};
+
+const skipped = (reason) => ({ status: 'skipped', reason });
+
+// Tail of the work queued per `owner/repo#number`
+const pullRequestQueues = new Map();
+
+/**
+ * Run `task` after any earlier task for the same key has settled, so concurrent
+ * deliveries for one PR (e.g. opened and synchronize) never write at the same time
+ */
+const runExclusive = (key, task) => {
+  const previous = pullRequestQueues.get(key) || Promise.resolve();
+  const run = previous.catch(() => {}).then(task);
+  const tail = run.catch(() => {});
+  pullRequestQueues.set(key, tail);
+  tail.then(() => {
+    if (pullRequestQueues.get(key) === tail) pullRequestQueues.delete(key);
+  });
+  return run;
+};
+
+/**
+ * Post the summary as a PR comment, or update the one posted before
+ */
+const upsertSummaryComment = async (owner, repo, number, description, headers) => {
+  const commentsUrl = `${GITHUB_API_BASE}/repos/${owner}/${repo}/issues/${number}/comments`;
+  const body = `${SUMMARY_COMMENT_MARKER}\n${description}`;
+
+  const listing = await fetchAllPages(commentsUrl, { headers, params: { per_page: 100 }, maxPages: COMMENTS_MAX_PAGES });
+  if (listing.truncated) console.warn(`Looked for the summary comment in the first ${COMMENTS_MAX_PAGES * 100} comments of ${owner}/${repo}#${number} only`);
+  const comments = listing.pages.flat();
+  const existing = comments.find(comment => (comment.body || '').includes(SUMMARY_COMMENT_MARKER));
+  if (existing) {
+    if (existing.body === body) return skipped('summary comment already up to date');
+    await githubClient.patch(`${GITHUB_API_BASE}/repos/${owner}/${repo}/issues/comments/${existing.id}`, { body }, { headers });
+    return { status: 'comment_updated', comment_id: existing.id };
+  }
+
+  const response = await githubClient.post(commentsUrl, { body }, { headers });
+  return { status: 'commented', comment_id: response.data.id };
+};
+
+/**
+ * Handle a pull_request event according to the repository's webhook settings.
+ * Returns { status, reason? } where status is filled, refreshed, commented, comment_updated, blocked or skipped.
+ */
+export const handlePullRequestEvent = async (payload, settings, token) => {
+  const { action, pull_request: pr, repository } = payload;
+
+  if (settings.mode === 'off') return skipped('webhook disabled for this repository');
+  if (!settings.actions.includes(action)) return skipped(`action "${action}" is not enabled`);
+  if (pr.state !== 'open') return skipped(`pull request is ${pr.state}`);
+  if (settings.skipDrafts && pr.draft) return skipped('draft pull request');
+
+  return runExclusive(`${repository.full_name}#${pr.number}`, () => processPullRequest(payload, settings, token));
+};
+
+/**
+ * Why this delivery should leave the description alone, given the PR's current body (null to go ahead)
+ */
+const getDescriptionSkipReason = (action, changes, currentBody, settings) => {
+  const isEmpty = currentBody.trim() === '';
+  const hasAiSections = parseAiSections(currentBody).length > 0;
+
+  if (settings.mode === 'fill_empty') {
+    // Our own PATCH triggers "edited" again; only a cleared body is worth regenerating
+    if (action === 'edited' && !(changes?.body && isEmpty)) return 'description was not cleared';
+    if (!isEmpty && !hasAiSections) return 'description was written by hand';
+    if (!isEmpty && action !== 'synchronize') return 'description is already generated';
+  } else {
+    if (action === 'edited' && !changes?.title && !changes?.body) return 'title and description unchanged';
+    if (hasAiSections) return 'description already has generated sections';
+  }
+  return null;
+};
+
+/**
+ * Decide on and apply the update for one delivery; only one runs at a time per PR.
+ * The payload's body is a snapshot from when the event was sent, so decisions use the PR as it is now.
+ */
+const processPullRequest = async (payload, settings, token) => {
+  const { action, changes, pull_request: { number }, repository } = payload;
+  const [owner, repo] = repository.full_name.split('/');
+  const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${number}`;
+  const headers = getGitHubHeaders(token);
+
+  const pr = (await githubClient.get(url, { headers })).data;
+  if (pr.state !== 'open') return skipped(`pull request is ${pr.state}`);
+  const reason = getDescriptionSkipReason(action, changes, normalizeLineEndings(pr.body), settings);
+  if (reason) return skipped(reason);
+
+  // Cross-repository PRs have to be compared by label (user:branch)
+  const isFork = pr.head.repo && pr.head.repo.full_name !== pr.base.repo.full_name;
+  const head = isFork ? pr.head.label : pr.head.ref;
+  const comparison = await fetchComparison(owner, repo, pr.base.ref, head, token, { pullNumber: pr.number });
+
+  // The summary can quote the code, so scan the added lines before the LLM sees them
+  const secretError = getSecretScanError(runSecretScan(comparison), comparison);
+  if (secretError) return { status: 'blocked', reason: secretError };
+
+  const { description } = await analyzePullRequest(owner, repo, head, pr.base.ref, token, '', { comparison, pullNumber: pr.number });
+
+  if (settings.mode === 'comment') {
+    return upsertSummaryComment(owner, repo, pr.number, description, headers);
+  }
+
+  // Someone may have written a description while the analysis ran; check again right before writing
+  const currentBody = normalizeLineEndings((await githubClient.get(url, { headers })).data.body);
+  const lateReason = getDescriptionSkipReason(action, changes, currentBody, settings);
+  if (lateReason) return skipped(lateReason);
+
+  const body = mergeAiSections(currentBody, description).body;
+  if (body === currentBody) return skipped('description already up to date');
+
+  await githubClient.patch(url, { body }, { headers });
+  return { status: currentBody.trim() === '' ? 'filled' : 'refreshed' };
+};
@@ -3,15 +3,19 @@
  */
 
 // Import and export GitHub tools
-import { create_pull_request, get_repository_info } from './github/index.js';
+import { create_pull_request, get_repository_info, generate_pr_summary, update_pull_request, review_pull_request, generate_release_notes } from './github/index.js';
 
 // Export individual tools
-export { create_pull_request, get_repository_info };
+export { create_pull_request, get_repository_info, generate_pr_summary, update_pull_request, review_pull_request, generate_release_notes };
 
 // Export array of all tools (GitHub only)
 export const allTools = [
   create_pull_request,
   get_repository_info,
+  generate_pr_summary,
+  update_pull_request,
+  review_pull_request,
+  generate_release_notes,
 ];
 
 // Export tools metadata (GitHub only)
@@ -23,12 +27,18 @@ export const toolsMetadata = {
     parameters: {
       owner: "Repository owner (required)",
       repo: "Repository name (required)",
-      title: "PR title (required)",
+      title: "PR title (optional, generated from the commits, tickets and diff when omitted)",
       head: "Source branch (required)",
       base: "Target branch (required)",
       body: "Custom description (optional)",
       draft: "Draft PR (optional, default: false)",
-      include_diff_analysis: "Include code analysis (optional, default: true)"
+      include_diff_analysis: "Include code analysis (optional, default: true)",
+      request_reviewers: "Request reviewers from CODEOWNERS and file history (optional, default: false)",
+      max_reviewers: "Maximum individual reviewers to request (optional, default: 2)",
+      jira_write_back: "Comment on, link and optionally transition referenced JIRA tickets (optional, default: false)",
+      jira_transition: "JIRA transition to run, e.g. 'In Review' (optional)",
+      on_existing: "What to do when an open PR already exists for head and base: fail, return or update (optional, default: fail)",
+      force_regenerate: "Skip cached LLM generations (optional, default: false)"
     }
   },
   get_repository_info: {
@@ -39,5 +49,65 @@ export const toolsMetadata = {
       owner: "Repository owner (required)",
       repo: "Repository name (required)"
     }
+  },
+  generate_pr_summary: {
+    name: "generate_pr_summary",
+    description: "Generate a PR title and description for a branch comparison without creating the PR",
+    category: "github",
+    parameters: {
+      owner: "Repository owner (required unless local)",
+      repo: "Repository name (required unless local)",
+      head: "Source branch (required unless local)",
+      base: "Target branch (required unless local_mode is staged or uncommitted)",
+      title: "PR title to check against the title rules (optional, generated when omitted)",
+      body: "Custom description (optional)",
+      local: "Analyze the local git repository instead of GitHub (optional, default: false)",
+      local_mode: "range, staged or uncommitted (optional, default: range)",
+      repo_path: "Path to the local repository (optional)",
+      suggest_split: "Always propose a stack of smaller PRs (optional, default: false)",
+      force_regenerate: "Skip cached LLM generations (optional, default: false)"
+    }
+  },
+  update_pull_request: {
+    name: "update_pull_request",
+    description: "Regenerate the description of an existing PR, keeping sections edited by humans",
+    category: "github",
+    parameters: {
+      owner: "Repository owner (required)",
+      repo: "Repository name (required)",
+      pull_number: "PR number (required)",
+      body: "Custom description (optional)",
+      preview: "Only return a diff of the old and new description (optional, default: false)",
+      overwrite_unmarked: "Replace descriptions without AI markers (optional, default: false)",
+      force_regenerate: "Skip cached LLM generations (optional, default: false)"
+    }
+  },
+  review_pull_request: {
+    name: "review_pull_request",
+    description: "Review a PR's code with the LLM and submit the findings as inline review comments",
+    category: "github",
+    parameters: {
+      owner: "Repository owner (required)",
+      repo: "Repository name (required)",
+      pull_number: "PR number (required)",
+      min_severity: "Lowest severity to post: low, medium, high or critical (optional, default: medium)",
+      max_comments: "Maximum inline comments per review (optional, default: 15)",
+      dry_run: "Only return the comments without submitting the review (optional, default: false)"
+    }
+  },
+  generate_release_notes: {
+    name: "generate_release_notes",
+    description: "Generate release notes for the PRs merged between two tags or refs",
+    category: "github",
+    parameters: {
+      owner: "Repository owner (required)",
+      repo: "Repository name (required)",
+      from: "Previous tag or ref, or a range like v1.4.0...v1.5.0 (required)",
+      to: "New tag or ref (required unless from is a range)",
+      version: "Version for the heading and release tag (optional, default: to)",
+      group_by: "Group by type, label or ticket_type (optional, default: type)",
+      include_direct_commits: "List commits pushed without a PR (optional, default: true)",
+      create_release: "Create a draft GitHub release (optional, default: false)"
+    }
   }
 };
\ No newline at end of file
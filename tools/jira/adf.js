@@ -0,0 +1,137 @@
+/**
+ * Atlassian Document Format (ADF) conversion
+ *
+ * Jira Cloud's v3 API returns rich-text fields as ADF JSON. These helpers turn
+ * ADF into markdown the LLM can read, and plain text into ADF for comments.
+ */
+
+const applyMarks = (text, marks = []) => marks.reduce((result, mark) => {
+  switch (mark.type) {
+    case 'strong': return `**${result}**`;
+    case 'em': return `*${result}*`;
+    case 'code': return `\`${result}\``;
+    case 'strike': return `~~${result}~~`;
+    case 'link': return `[${result}](${mark.attrs?.href})`;
+    default: return result;
+  }
+}, text);
+
+const renderInline = (nodes = []) => nodes.map(node => renderNode(node, 0)).join('');
+
+const escapeCell = (text) => text.replace(/\|/g, '\\|').replace(/\n+/g, '<br>');
+
+const renderTable = (node) => {
+  const rows = (node.content || []).map(row => (row.content || []).map(cell => ({
+    header: cell.type === 'tableHeader',
+    text: escapeCell(renderBlocks(cell.content || []).trim())
+  })));
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const pad = (row) => [...row.map(cell => cell.text), ...new Array(width - row.length).fill('')];
+  const hasHeader = rows[0].every(cell => cell.header);
+  const header = hasHeader ? pad(rows[0]) : new Array(width).fill('');
+  const body = hasHeader ? rows.slice(1) : rows;
+
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${new Array(width).fill('---').join(' | ')} |`,
+    ...body.map(row => `| ${pad(row).join(' | ')} |`)
+  ].join('\n');
+};
+
+const renderList = (node, depth, ordered) => (node.content || []).map((item, index) => {
+  const indent = '  '.repeat(depth);
+  const bullet = ordered ? `${(node.attrs?.order || 1) + index}.` : '-';
+  const [first, ...rest] = item.content || [];
+  const firstText = first ? renderNode(first, depth + 1).trim() : '';
+  const restText = rest.map(child => renderNode(child, depth + 1)).filter(Boolean).join('\n');
+  return `${indent}${bullet} ${firstText}${restText ? `\n${restText}` : ''}`;
+}).join('\n');
+
+function renderNode(node, depth) {
+  if (!node) return '';
+
+  switch (node.type) {
+    case 'text': return applyMarks(node.text || '', node.marks);
+    case 'hardBreak': return '\n';
+    case 'mention': return node.attrs?.text || `@${node.attrs?.id || 'user'}`;
+    case 'emoji': return node.attrs?.text || node.attrs?.shortName || '';
+    case 'date': return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : '';
+    case 'status': return `[${node.attrs?.text || ''}]`;
+    case 'inlineCard':
+    case 'blockCard':
+    case 'embedCard': return node.attrs?.url || '';
+    case 'paragraph': return renderInline(node.content);
+    case 'heading': return `${'#'.repeat(node.attrs?.level || 1)} ${renderInline(node.content)}`;
+    case 'bulletList': return renderList(node, depth, false);
+    case 'orderedList': return renderList(node, depth, true);
+    case 'taskList':
+      return (node.content || []).map(item => `${'  '.repeat(depth)}- [${item.attrs?.state === 'DONE' ? 'x' : ' '}] ${renderInline(item.content)}`).join('\n');
+    case 'decisionList':
+      return (node.content || []).map(item => `${'  '.repeat(depth)}- Decision: ${renderInline(item.content)}`).join('\n');
+    case 'codeBlock': return `\`\`\`${node.attrs?.language || ''}\n${(node.content || []).map(child => child.text || '').join('')}\n\`\`\``;
+    case 'blockquote': return renderBlocks(node.content).split('\n').map(line => `> ${line}`).join('\n');
+    case 'panel': return renderBlocks(node.content).split('\n').map((line, index) => (index === 0 ? `> **${node.attrs?.panelType || 'info'}:** ${line}` : `> ${line}`)).join('\n');
+    case 'rule': return '---';
+    case 'table': return renderTable(node);
+    case 'expand':
+    case 'nestedExpand': return `${node.attrs?.title ? `**${node.attrs.title}**\n\n` : ''}${renderBlocks(node.content)}`;
+    case 'mediaSingle':
+    case 'mediaGroup':
+    case 'media': return '[attachment]';
+    default: return node.content ? renderBlocks(node.content) : (node.text || '');
+  }
+}
+
+function renderBlocks(nodes = []) {
+  return nodes.map(node => renderNode(node, 0)).filter(text => text !== '').join('\n\n');
+}
+
+/**
+ * Whether a field value is an ADF document
+ */
+export const isAdfDocument = (value) => !!value && typeof value === 'object' && value.type === 'doc';
+
+/**
+ * Convert an ADF document (or fragment) to markdown
+ */
+export const adfToMarkdown = (document) => {
+  if (!document) return '';
+  if (typeof document === 'string') return document;
+  return (document.type === 'doc' ? renderBlocks(document.content) : renderNode(document, 0)).trim();
+};
+
+/**
+ * Convert a rich-text field that may be a string or ADF into markdown
+ */
+export const richTextToMarkdown = (value) => (isAdfDocument(value) ? adfToMarkdown(value) : (value || ''));
+
+const URL_PATTERN = /(https?:\/\/[^\s)]+)/g;
+
+/**
+ * Inline ADF nodes for a line of plain text, turning bare URLs into links
+ */
+export const textToAdfInline = (text) => text.split(URL_PATTERN)
+  .filter(Boolean)
+  .map(part => (/^https?:\/\//.test(part)
+    ? { type: 'text', text: part, marks: [{ type: 'link', attrs: { href: part } }] }
+    : { type: 'text', text: part }));
+
+/**
+ * Convert plain text into an ADF document (blank lines separate paragraphs)
+ */
+export const textToAdf = (text, leadingContent = []) => ({
+  type: 'doc',
+  version: 1,
+  content: [
+    ...leadingContent,
+    ...text.split(/\n{2,}/).filter(paragraph => paragraph.trim()).map(paragraph => ({
+      type: 'paragraph',
+      content: paragraph.split('\n').flatMap((line, index) => [
+        ...(index > 0 ? [{ type: 'hardBreak' }] : []),
+        ...textToAdfInline(line)
+      ])
+    }))
+  ]
+});
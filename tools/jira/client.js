@@ -0,0 +1,99 @@
+/**
+ * JIRA REST client configuration
+ *
+ * Auth modes (JIRA_AUTH_MODE):
+ * - `bearer` (default): personal access token in JIRA_API_TOKEN (Jira Server/Data Center)
+ * - `basic`: JIRA_EMAIL + JIRA_API_TOKEN (Jira Cloud API tokens)
+ * - `oauth`: OAuth 2.0 access token in JIRA_OAUTH_TOKEN; requests go through
+ *   api.atlassian.com when JIRA_CLOUD_ID is set
+ *
+ * JIRA_API_VERSION selects REST API v2 (default) or v3 (Jira Cloud, ADF rich text).
+ */
+
+const AUTH_MODES = ['bearer', 'basic', 'oauth'];
+
+/**
+ * Get the JIRA base URL
+ */
+export const getJiraBaseUrl = () => {
+  const jiraBaseUrl = process.env.JIRA_BASE_URL;
+  if (!jiraBaseUrl) {
+    throw new Error('JIRA_BASE_URL environment variable is required');
+  }
+  return jiraBaseUrl.replace(/\/$/, '');
+};
+
+/**
+ * Get the configured auth mode
+ */
+export const getJiraAuthMode = () => {
+  const mode = (process.env.JIRA_AUTH_MODE || 'bearer').toLowerCase();
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown JIRA_AUTH_MODE "${mode}". Use one of: ${AUTH_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+/**
+ * Get the REST API version ('2' or '3')
+ */
+export const getJiraApiVersion = () => {
+  const version = String(process.env.JIRA_API_VERSION || '2');
+  if (!['2', '3'].includes(version)) {
+    throw new Error(`Unsupported JIRA_API_VERSION "${version}". Use 2 or 3`);
+  }
+  return version;
+};
+
+/**
+ * Whether rich-text fields are exchanged as Atlassian Document Format
+ */
+export const usesAdf = () => getJiraApiVersion() === '3';
+
+/**
+ * Get headers for JIRA API requests
+ */
+export const getJiraHeaders = () => {
+  const headers = {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json',
+  };
+
+  const mode = getJiraAuthMode();
+  const apiToken = process.env.JIRA_API_TOKEN;
+
+  if (mode === 'basic') {
+    const email = process.env.JIRA_EMAIL;
+    if (!email || !apiToken) {
+      throw new Error('JIRA_EMAIL and JIRA_API_TOKEN environment variables are required for basic auth');
+    }
+    headers['Authorization'] = `Basic ${Buffer.from(`${email}:${apiToken}`).toString('base64')}`;
+  } else if (mode === 'oauth') {
+    const accessToken = process.env.JIRA_OAUTH_TOKEN;
+    if (!accessToken) {
+      throw new Error('JIRA_OAUTH_TOKEN environment variable is required for OAuth');
+    }
+    headers['Authorization'] = `Bearer ${accessToken}`;
+  } else if (apiToken) {
+    // Bearer token authentication for JIRA
+    headers['Authorization'] = `Bearer ${apiToken}`;
+  }
+
+  return headers;
+};
+
+/**
+ * Build a JIRA REST API URL
+ */
+export const getJiraApiUrl = (path) => {
+  const cloudId = process.env.JIRA_CLOUD_ID;
+  const apiBase = getJiraAuthMode() === 'oauth' && cloudId
+    ? `https://api.atlassian.com/ex/jira/${cloudId}`
+    : getJiraBaseUrl();
+  return `${apiBase}/rest/api/${getJiraApiVersion()}${path}`;
+};
+
+/**
+ * Browser URL for a JIRA issue
+ */
+export const getJiraBrowseUrl = (key) => `${getJiraBaseUrl()}/browse/${key}`;
@@ -3,3 +3,4 @@
  */
 
 export { get_jira_ticket_details } from './ticketDetails.js';
+export { writeBackToJira, formatWriteBackOutcomes } from './writeBack.js';
@@ -5,57 +5,108 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import { z } from 'zod';
 import axios from 'axios';
+import { getJiraApiUrl, getJiraHeaders, getJiraBrowseUrl } from './client.js';
+import { richTextToMarkdown } from './adf.js';
+import { extractFigmaLinks } from '../trackers/utils.js';
+
+const DEFAULT_LINK_TYPES = 'blocks,is blocked by,relates to';
+
+/**
+ * Parse JIRA_CUSTOM_FIELDS ("customfield_10020:Team,customfield_10031") into [{ id, label }]
+ */
+const getCustomFieldConfig = () => (process.env.JIRA_CUSTOM_FIELDS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [id, label] = entry.split(':').map(part => part.trim());
+    return { id, label: label || id };
+  });
+
+/**
+ * Render a custom field value (string, ADF, option, user or array of those) as text
+ */
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(formatFieldValue).filter(Boolean).join(', ');
+  if (typeof value !== 'object') return String(value);
+  if (value.type === 'doc') return richTextToMarkdown(value);
+  return value.value || value.name || value.displayName || value.key || JSON.stringify(value);
+};
+
+/**
+ * Related issues to expand for ticket context: parent, epic, subtasks and configured link types
+ */
+const getRelatedIssues = (fields) => {
+  const related = [];
+  const linkTypes = (process.env.JIRA_LINK_TYPES || DEFAULT_LINK_TYPES)
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (fields.parent?.key) {
+    related.push({ key: fields.parent.key, relation: fields.parent.fields?.issuetype?.name === 'Epic' ? 'epic' : 'parent' });
+  }
+
+  // Jira Server/Data Center keeps the epic in a custom "Epic Link" field
+  const epicLinkField = process.env.JIRA_EPIC_LINK_FIELD;
+  if (epicLinkField && typeof fields[epicLinkField] === 'string') {
+    related.push({ key: fields[epicLinkField], relation: 'epic' });
+  }
+
+  for (const subtask of fields.subtasks || []) {
+    related.push({ key: subtask.key, relation: 'subtask' });
+  }
+
+  for (const link of fields.issuelinks || []) {
+    const [relation, issue] = link.outwardIssue
+      ? [link.type?.outward, link.outwardIssue]
+      : [link.type?.inward, link.inwardIssue];
+    if (issue?.key && relation && linkTypes.includes(relation.toLowerCase())) {
+      related.push({ key: issue.key, relation });
+    }
+  }
+
+  return related;
+};
+
+// No link rather than an error when JIRA_BASE_URL is unset
+const browseUrl = (ticketId) => (process.env.JIRA_BASE_URL ? getJiraBrowseUrl(ticketId) : null);
 
 /**
  * Get JIRA ticket details including title, description, status, and assignee
  */
 export const get_jira_ticket_details = new DynamicStructuredTool({
   name: 'get_jira_ticket_details',
-  description: 'Fetch detailed information about a JIRA ticket including title, description, status, assignee, and other metadata',
+  description: 'Fetch detailed information about a JIRA ticket including title, description, acceptance criteria, custom fields, status, assignee, related issues (parent, epic, subtasks, links) and other metadata',
   schema: z.object({
     ticketId: z.string().describe('JIRA ticket ID (e.g., ABC-123, PROJECT-456)'),
   }),
   func: async ({ ticketId }) => {
     try {
-      const jiraBaseUrl = process.env.JIRA_BASE_URL;
-      if (!jiraBaseUrl) {
-        throw new Error('JIRA_BASE_URL environment variable is required');
-      }
-
-      // JIRA REST API endpoint for ticket details
-      const jiraApiUrl = `${jiraBaseUrl}/rest/api/2/issue/${ticketId}`;
-      
-      // Bearer token authentication for JIRA
-      const apiToken = process.env.JIRA_API_TOKEN;
-      const headers = {
-        'Accept': 'application/json',
-        'Content-Type': 'application/json',
-      };
-
-      if (apiToken) {
-        headers['Authorization'] = `Bearer ${apiToken}`;
-      }
-
-      const response = await axios.get(jiraApiUrl, { headers });
+      // JIRA REST API endpoint for ticket details (v2 or v3, see tools/jira/client.js)
+      const response = await axios.get(getJiraApiUrl(`/issue/${ticketId}`), { headers: getJiraHeaders() });
       const issue = response.data;
 
-      // Extract Figma links from description and other text fields
-      const extractFigmaLinks = (text) => {
-        if (!text) return [];
-        const figmaRegex = /https?:\/\/(?:www\.)?figma\.com\/(?:file|design)\/[a-zA-Z0-9]+\/[^?\s]*/g;
-        return text.match(figmaRegex) || [];
-      };
-
-      const description = issue.fields.description || 'No description provided';
+      // v3 returns rich-text fields as ADF; convert them so the LLM sees readable markdown
+      const description = richTextToMarkdown(issue.fields.description) || 'No description provided';
+      const acceptanceCriteriaField = process.env.JIRA_ACCEPTANCE_CRITERIA_FIELD;
+      const acceptanceCriteria = acceptanceCriteriaField
+        ? richTextToMarkdown(issue.fields[acceptanceCriteriaField])
+        : '';
       const summary = issue.fields.summary || '';
-      const allText = `${summary} ${description}`;
-      const figmaLinks = extractFigmaLinks(allText);
+      const customFields = Object.fromEntries(getCustomFieldConfig()
+        .map(({ id, label }) => [label, formatFieldValue(issue.fields[id])])
+        .filter(([, value]) => value));
+      const figmaLinks = extractFigmaLinks(`${summary} ${description} ${acceptanceCriteria} ${Object.values(customFields).join(' ')}`);
 
       // Extract relevant information
       const ticketDetails = {
         key: issue.key,
         summary: issue.fields.summary,
         description: description,
+        acceptanceCriteria: acceptanceCriteria,
+        customFields: customFields,
         status: issue.fields.status.name,
         priority: issue.fields.priority?.name || 'Not set',
         assignee: issue.fields.assignee?.displayName || 'Unassigned',
@@ -67,7 +118,8 @@ export const get_jira_ticket_details = new DynamicStructuredTool({
         components: issue.fields.components?.map(c => c.name) || [],
         fixVersions: issue.fields.fixVersions?.map(v => v.name) || [],
         figmaLinks: figmaLinks,
-        url: `${jiraBaseUrl}/browse/${ticketId}`
+        related: getRelatedIssues(issue.fields),
+        url: browseUrl(issue.key)
       };
 
       return {
@@ -77,7 +129,7 @@ export const get_jira_ticket_details = new DynamicStructuredTool({
 
     } catch (error) {
       console.error('Failed to fetch JIRA ticket details:', error.message);
-      
+
       // Return a fallback response with basic ticket info
       return {
         success: false,
@@ -86,9 +138,10 @@ export const get_jira_ticket_details = new DynamicStructuredTool({
           key: ticketId,
           summary: `JIRA ticket ${ticketId}`,
           description: 'Unable to fetch ticket details from JIRA API',
+          acceptanceCriteria: '',
           status: 'Unknown',
           figmaLinks: [],
-          url: `${jiraBaseUrl}/browse/${ticketId}`
+          url: browseUrl(ticketId)
         }
       };
     }
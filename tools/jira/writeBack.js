@@ -0,0 +1,136 @@
+/**
+ * JIRA write-back after a pull request is created
+ *
+ * For each ticket: add a comment with the PR link and summary, add a remote
+ * issue link to the PR, and optionally run a workflow transition.
+ */
+
+import axios from 'axios';
+import { getJiraApiUrl, getJiraHeaders, usesAdf } from './client.js';
+import { textToAdf } from './adf.js';
+
+const GITHUB_ICON_URL = 'https://github.githubassets.com/favicons/favicon.png';
+
+const describeError = (error) => {
+  const data = error.response?.data;
+  const details = data?.errorMessages?.join('; ') || (data?.errors && Object.values(data.errors).join('; '));
+  return details || error.message;
+};
+
+/**
+ * Add a comment to a JIRA issue (`body` is wiki markup for v2, an ADF document for v3)
+ */
+export const addJiraComment = async (key, body) => {
+  await axios.post(getJiraApiUrl(`/issue/${key}/comment`), { body }, { headers: getJiraHeaders() });
+};
+
+/**
+ * Link a JIRA issue to a URL; the global id keeps repeated calls from creating duplicates
+ */
+export const addJiraRemoteLink = async (key, { url, title }) => {
+  await axios.post(getJiraApiUrl(`/issue/${key}/remotelink`), {
+    globalId: url,
+    object: {
+      url,
+      title,
+      icon: { url16x16: GITHUB_ICON_URL, title: 'GitHub Pull Request' }
+    }
+  }, { headers: getJiraHeaders() });
+};
+
+/**
+ * Move a JIRA issue through the transition with the given name (or target status name)
+ */
+export const transitionJiraIssue = async (key, transitionName) => {
+  const headers = getJiraHeaders();
+  const response = await axios.get(getJiraApiUrl(`/issue/${key}/transitions`), { headers });
+  const wanted = transitionName.toLowerCase();
+  const transitions = response.data.transitions || [];
+  const transition = transitions.find(t => t.name.toLowerCase() === wanted)
+    || transitions.find(t => t.to?.name?.toLowerCase() === wanted);
+
+  if (!transition) {
+    const available = transitions.map(t => t.name).join(', ') || 'none';
+    throw new Error(`Transition "${transitionName}" is not available (available: ${available})`);
+  }
+
+  await axios.post(getJiraApiUrl(`/issue/${key}/transitions`), { transition: { id: transition.id } }, { headers });
+  return transition.to?.name || transition.name;
+};
+
+/**
+ * Build the comment posted on each ticket
+ */
+const buildComment = ({ pullRequest, summary }) => {
+  if (usesAdf()) {
+    return textToAdf(summary, [{
+      type: 'paragraph',
+      content: [
+        { type: 'text', text: 'Pull request opened: ' },
+        { type: 'text', text: pullRequest.title, marks: [{ type: 'link', attrs: { href: pullRequest.url } }] },
+        { type: 'hardBreak' },
+        { type: 'text', text: `Branch: ${pullRequest.head} → ${pullRequest.base}` }
+      ]
+    }]);
+  }
+
+  return `Pull request opened: [${pullRequest.title}|${pullRequest.url}]
+Branch: ${pullRequest.head} → ${pullRequest.base}
+
+${summary}`;
+};
+
+/**
+ * Write the pull request back to every ticket.
+ * Each step runs independently so one failure doesn't hide the others.
+ */
+export const writeBackToJira = async ({ tickets, pullRequest, summary, transition }) => {
+  return Promise.all(tickets.map(async (key) => {
+    const outcome = { ticket: key, comment: null, remote_link: null, transition: null, success: true };
+
+    try {
+      // Built per ticket so a bad JIRA_API_VERSION is reported as a failed step, not a failed PR
+      await addJiraComment(key, buildComment({ pullRequest, summary }));
+      outcome.comment = 'added';
+    } catch (error) {
+      outcome.comment = `failed: ${describeError(error)}`;
+      outcome.success = false;
+    }
+
+    try {
+      await addJiraRemoteLink(key, { url: pullRequest.url, title: `PR #${pullRequest.number}: ${pullRequest.title}` });
+      outcome.remote_link = 'added';
+    } catch (error) {
+      outcome.remote_link = `failed: ${describeError(error)}`;
+      outcome.success = false;
+    }
+
+    if (transition) {
+      try {
+        const status = await transitionJiraIssue(key, transition);
+        outcome.transition = `moved to ${status}`;
+      } catch (error) {
+        outcome.transition = `failed: ${describeError(error)}`;
+        outcome.success = false;
+      }
+    } else {
+      outcome.transition = 'skipped';
+    }
+
+    return outcome;
+  }));
+};
+
+/**
+ * Format write-back outcomes for the tool response
+ */
+export const formatWriteBackOutcomes = (outcomes) => {
+  if (outcomes.length === 0) {
+    return '- No JIRA tickets found in the branch, title or commits';
+  }
+
+  return outcomes.map(outcome => {
+    const icon = outcome.success ? '✅' : '⚠️';
+    return `- ${icon} **${outcome.ticket}:** comment ${outcome.comment}, remote link ${outcome.remote_link}, transition ${outcome.transition}`;
+  }).join('\n');
+};
@@ -0,0 +1,78 @@
+/**
+ * GitHub Issues tracker adapter
+ */
+
+import { GITHUB_API_BASE } from '../github/utils.js';
+import { githubClient, getGitHubHeaders } from '../github/client.js';
+import { extractFigmaLinks } from './utils.js';
+
+// owner/repo#45, https://github.com/owner/repo/issues/45
+const QUALIFIED_PATTERN = /\b([\w.-]+)\/([\w.-]+)#(\d+)\b/g;
+const URL_PATTERN = /https?:\/\/[^\s/]+\/([\w.-]+)\/([\w.-]+)\/issues\/(\d+)\b/g;
+// #123 (also "fixes #123"), but not hex colours or anchors like page#section
+const SHORT_PATTERN = /(?:^|[^\w/#])#(\d+)(?![\w-])/g;
+// Branch names such as issue-123-fix-login or issues/123
+const BRANCH_PATTERN = /(?:^|\/)issues?[-/](\d+)(?=[-_/]|$)/gi;
+
+export const githubIssuesTracker = {
+  name: 'github',
+  label: 'GitHub',
+  sectionTitle: 'Related Issues',
+
+  isConfigured: () => !!process.env.GITHUB_TOKEN,
+
+  /**
+   * Detect issue references; unqualified numbers resolve against the PR's repository
+   */
+  detect: (text, context = {}) => {
+    const refs = [];
+    const add = (owner, repo, number) => {
+      if (!owner || !repo) return;
+      refs.push({ tracker: 'github', key: `${owner}/${repo}#${number}`, owner, repo, number: Number(number) });
+    };
+
+    for (const match of text.matchAll(URL_PATTERN)) add(match[1], match[2], match[3]);
+    const withoutUrls = text.replace(URL_PATTERN, ' ');
+    for (const match of withoutUrls.matchAll(QUALIFIED_PATTERN)) add(match[1], match[2], match[3]);
+    const unqualified = withoutUrls.replace(QUALIFIED_PATTERN, ' ');
+    for (const match of unqualified.matchAll(SHORT_PATTERN)) add(context.owner, context.repo, match[1]);
+    for (const match of unqualified.matchAll(BRANCH_PATTERN)) add(context.owner, context.repo, match[1]);
+
+    return refs;
+  },
+
+  getUrl: (ref) => {
+    const webBase = (GITHUB_API_BASE || 'https://api.github.com')
+      .replace('://api.github.com', '://github.com')
+      .replace(/\/api\/v3\/?$/, '');
+    return `${webBase}/${ref.owner}/${ref.repo}/issues/${ref.number}`;
+  },
+
+  fetch: async (ref) => {
+    const token = process.env.GITHUB_TOKEN;
+    if (!token) {
+      throw new Error('GITHUB_TOKEN environment variable is required');
+    }
+
+    const response = await githubClient.get(`${GITHUB_API_BASE}/repos/${ref.owner}/${ref.repo}/issues/${ref.number}`, {
+      headers: getGitHubHeaders(token)
+    });
+    const issue = response.data;
+    const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+    return {
+      key: ref.key,
+      tracker: 'github',
+      summary: issue.title,
+      description: issue.body || 'No description provided',
+      status: issue.state,
+      priority: 'Not set',
+      assignee: issue.assignee?.login || 'Unassigned',
+      issueType: issue.pull_request ? 'Pull Request' : (issue.type?.name || 'Issue'),
+      labels,
+      components: issue.milestone ? [issue.milestone.title] : [],
+      figmaLinks: extractFigmaLinks(`${issue.title} ${issue.body || ''}`),
+      url: issue.html_url
+    };
+  }
+};
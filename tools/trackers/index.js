@@ -0,0 +1,204 @@
+/**
+ * Issue tracker abstraction
+ *
+ * Every tracker adapter detects references in text and fetches tickets into
+ * the same normalized shape:
+ * { key, tracker, summary, description, status, priority, assignee,
+ *   issueType, labels, components, figmaLinks, url, found }
+ * Adapters may add `acceptanceCriteria` (markdown), `customFields` ({ label: text })
+ * and `related` ([{ tracker, key, relation }] for parents, epics, subtasks and
+ * linked issues) when the tracker has them.
+ *
+ * Enabled trackers are configured with ISSUE_TRACKERS (default: jira).
+ */
+
+import { jiraTracker } from './jira.js';
+import { githubIssuesTracker } from './github.js';
+import { linearTracker } from './linear.js';
+
+const trackers = {
+  jira: jiraTracker,
+  github: githubIssuesTracker,
+  linear: linearTracker
+};
+
+/**
+ * Register an additional tracker adapter
+ */
+export const registerTracker = (tracker) => {
+  if (!tracker?.name || typeof tracker.detect !== 'function' || typeof tracker.fetch !== 'function') {
+    throw new Error('A tracker needs a name and detect() and fetch() functions');
+  }
+  trackers[tracker.name] = tracker;
+};
+
+/**
+ * Trackers enabled through ISSUE_TRACKERS
+ */
+export const getEnabledTrackers = () => (process.env.ISSUE_TRACKERS || 'jira')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(name => trackers[name])
+  .map(name => trackers[name]);
+
+/**
+ * Find ticket references in text for every enabled tracker.
+ * `context` carries the repository ({ owner, repo }) for short references like #123.
+ */
+export const extractTicketReferences = (text, context = {}) => {
+  const enabled = getEnabledTrackers();
+  const enabledNames = enabled.map(tracker => tracker.name);
+  const refs = enabled.flatMap(tracker => tracker.detect(text || '', context));
+
+  // JIRA and Linear keys look alike; Linear team keys decide which one owns a key
+  const resolved = refs.filter(ref => {
+    if (ref.tracker === 'jira' && enabledNames.includes('linear')) return !linearTracker.claims(ref);
+    if (ref.tracker === 'linear' && enabledNames.includes('jira')) return linearTracker.claims(ref);
+    return true;
+  });
+
+  const seen = new Set();
+  return resolved.filter(ref => {
+    const id = `${ref.tracker}:${ref.key}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+};
+
+/**
+ * Merge reference lists, keeping the first occurrence of each ticket
+ */
+export const mergeTicketReferences = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(ref => {
+    const id = `${ref.tracker}:${ref.key}`;
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+};
+
+/**
+ * Browser URL for a ticket reference, or null when it can't be built
+ */
+export const getTicketUrl = (ref) => trackers[ref.tracker]?.getUrl(ref) || null;
+
+const refId = (ref) => `${ref.tracker}:${ref.key}`;
+
+/**
+ * Fetch a ticket in the normalized shape; failures return a placeholder with `found: false`.
+ * Pass a cache from createTicketCache() to fetch each ticket at most once per request.
+ */
+export const fetchTicket = (ref, cache = null) => {
+  if (!cache) return fetchTicketUncached(ref);
+
+  const id = refId(ref);
+  if (!cache.has(id)) {
+    cache.set(id, fetchTicketUncached(ref));
+  }
+  return cache.get(id);
+};
+
+const fetchTicketUncached = async (ref) => {
+  const tracker = trackers[ref.tracker];
+  try {
+    const ticket = await tracker.fetch(ref);
+    return { ...ticket, found: true };
+  } catch (error) {
+    console.warn(`Failed to fetch ${tracker?.label || ref.tracker} ticket ${ref.key}:`, error.message);
+    return {
+      key: ref.key,
+      tracker: ref.tracker,
+      summary: `${tracker?.label || ref.tracker} ticket ${ref.key}`,
+      description: 'Unable to fetch ticket details',
+      status: 'Unknown',
+      priority: 'Not set',
+      assignee: 'Unassigned',
+      issueType: 'Unknown',
+      labels: [],
+      components: [],
+      figmaLinks: [],
+      url: getTicketUrl(ref),
+      found: false
+    };
+  }
+};
+
+/**
+ * Request-scoped ticket cache (ticket id -> pending fetch)
+ */
+export const createTicketCache = () => new Map();
+
+/**
+ * Ticket context settings: how far to follow parent/epic/subtask/link relations
+ * and how many tickets to fetch in total
+ */
+export const getTicketContextConfig = () => ({
+  depth: parseInt(process.env.TICKET_CONTEXT_DEPTH || '1', 10),
+  maxTickets: parseInt(process.env.TICKET_CONTEXT_MAX_TICKETS || '10', 10)
+});
+
+/**
+ * Fetch every referenced ticket concurrently, then expand each level of related
+ * tickets (parent, epic, subtasks, blocks/relates-to links) up to `depth`.
+ * Returns de-duplicated tickets, referenced ones first; expanded tickets carry
+ * `relation` and `via` (the key they were reached from).
+ */
+export const fetchTicketContext = async (refs, { cache = createTicketCache(), ...options } = {}) => {
+  const { depth, maxTickets } = { ...getTicketContextConfig(), ...options };
+  const seen = new Set();
+  const details = [];
+  let level = refs.map(ref => ({ ref }));
+
+  for (let currentDepth = 0; level.length > 0 && details.length < maxTickets; currentDepth++) {
+    const pending = level
+      .filter(({ ref }) => {
+        if (!trackers[ref.tracker] || seen.has(refId(ref))) return false;
+        seen.add(refId(ref));
+        return true;
+      })
+      .slice(0, maxTickets - details.length);
+
+    const fetched = await Promise.all(pending.map(async ({ ref, relation, via }) => ({
+      ...(await fetchTicket(ref, cache)),
+      ...(relation && { relation, via })
+    })));
+    details.push(...fetched);
+
+    level = currentDepth < depth
+      ? fetched.flatMap(ticket => (ticket.related || []).map(({ relation, ...related }) => ({
+        ref: { tracker: ticket.tracker, ...related },
+        relation,
+        via: ticket.key
+      })))
+      : [];
+  }
+
+  return details;
+};
+
+/**
+ * Markdown list item linking a ticket reference
+ */
+export const formatTicketLink = (ref) => {
+  const url = ref.url || getTicketUrl(ref);
+  return url ? `- [${ref.key}](${url})` : `- ${ref.key}`;
+};
+
+/**
+ * Section title for a set of references (tracker-specific when they share a tracker)
+ */
+export const getTicketSectionTitle = (refs) => {
+  const names = [...new Set(refs.map(ref => ref.tracker))];
+  if (names.length === 0) {
+    const enabled = getEnabledTrackers();
+    return enabled.length === 1 ? enabled[0].sectionTitle : 'Related Tickets';
+  }
+  return names.length === 1 ? (trackers[names[0]]?.sectionTitle || 'Related Tickets') : 'Related Tickets';
+};
+
+/**
+ * Label for a tracker, e.g. "Jira"
+ */
+export const getTrackerLabel = (name) => trackers[name]?.label || name;
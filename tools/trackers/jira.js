@@ -0,0 +1,48 @@
+/**
+ * JIRA issue tracker adapter
+ */
+
+import { get_jira_ticket_details } from '../jira/ticketDetails.js';
+import { getJiraBrowseUrl } from '../jira/client.js';
+import { extractJiraTickets } from '../github/utils.js';
+
+export const jiraTracker = {
+  name: 'jira',
+  label: 'Jira',
+  sectionTitle: 'Jira Ticket',
+
+  isConfigured: () => !!process.env.JIRA_BASE_URL,
+
+  /**
+   * Detect JIRA keys such as ABC-123
+   */
+  detect: (text) => extractJiraTickets(text).map(key => ({ tracker: 'jira', key })),
+
+  getUrl: (ref) => (process.env.JIRA_BASE_URL ? getJiraBrowseUrl(ref.key) : null),
+
+  fetch: async (ref) => {
+    const result = await get_jira_ticket_details.invoke({ ticketId: ref.key });
+    if (!result.success) {
+      throw new Error(result.error || `Unable to fetch JIRA ticket ${ref.key}`);
+    }
+
+    const ticket = result.ticket;
+    return {
+      key: ticket.key,
+      tracker: 'jira',
+      summary: ticket.summary,
+      description: ticket.description,
+      acceptanceCriteria: ticket.acceptanceCriteria || '',
+      customFields: ticket.customFields || {},
+      status: ticket.status,
+      priority: ticket.priority,
+      assignee: ticket.assignee,
+      issueType: ticket.issueType,
+      labels: ticket.labels || [],
+      components: ticket.components || [],
+      figmaLinks: ticket.figmaLinks || [],
+      related: ticket.related || [],
+      url: ticket.url
+    };
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * Linear issue tracker adapter
+ */
+
+import { extractFigmaLinks, matchTicketKeys } from './utils.js';
+
+const LINEAR_API_URL = 'https://api.linear.app/graphql';
+
+const ISSUE_QUERY = `query Issue($id: String!) {
+  issue(id: $id) {
+    identifier
+    title
+    description
+    url
+    priorityLabel
+    state { name }
+    assignee { name }
+    labels { nodes { name } }
+    project { name }
+    parent { identifier }
+    children { nodes { identifier } }
+    relations { nodes { type relatedIssue { identifier } } }
+  }
+}`;
+
+// Restrict detection to known team keys so Linear and JIRA keys can coexist
+const getTeamKeys = () => (process.env.LINEAR_TEAM_KEYS || '')
+  .split(',')
+  .map(key => key.trim().toUpperCase())
+  .filter(Boolean);
+
+export const linearTracker = {
+  name: 'linear',
+  label: 'Linear',
+  sectionTitle: 'Linear Issue',
+
+  isConfigured: () => !!process.env.LINEAR_API_KEY,
+
+  /**
+   * Detect Linear identifiers such as ENG-123
+   */
+  detect: (text) => matchTicketKeys(text, getTeamKeys()).map(key => ({ tracker: 'linear', key })),
+
+  /**
+   * Whether a key belongs to Linear when another tracker uses the same key format
+   */
+  claims: (ref) => getTeamKeys().includes(ref.key.split('-')[0]),
+
+  getUrl: (ref) => (process.env.LINEAR_WORKSPACE
+    ? `https://linear.app/${process.env.LINEAR_WORKSPACE}/issue/${ref.key}`
+    : null),
+
+  fetch: async (ref) => {
+    const apiKey = process.env.LINEAR_API_KEY;
+    if (!apiKey) {
+      throw new Error('LINEAR_API_KEY environment variable is required');
+    }
+
+    const { default: axios } = await import('axios');
+    const response = await axios.post(LINEAR_API_URL, { query: ISSUE_QUERY, variables: { id: ref.key } }, {
+      headers: { 'Authorization': apiKey, 'Content-Type': 'application/json' }
+    });
+
+    if (response.data.errors?.length) {
+      throw new Error(response.data.errors.map(error => error.message).join('; '));
+    }
+
+    const issue = response.data.data?.issue;
+    if (!issue) {
+      throw new Error(`Linear issue ${ref.key} not found`);
+    }
+
+    return {
+      key: issue.identifier,
+      tracker: 'linear',
+      summary: issue.title,
+      description: issue.description || 'No description provided',
+      status: issue.state?.name || 'Unknown',
+      priority: issue.priorityLabel || 'Not set',
+      assignee: issue.assignee?.name || 'Unassigned',
+      issueType: 'Issue',
+      labels: issue.labels?.nodes?.map(label => label.name) || [],
+      components: issue.project ? [issue.project.name] : [],
+      figmaLinks: extractFigmaLinks(`${issue.title} ${issue.description || ''}`),
+      related: [
+        ...(issue.parent ? [{ key: issue.parent.identifier, relation: 'parent' }] : []),
+        ...(issue.children?.nodes || []).map(child => ({ key: child.identifier, relation: 'subtask' })),
+        ...(issue.relations?.nodes || [])
+          .filter(relation => ['blocks', 'related'].includes(relation.type))
+          .map(relation => ({ key: relation.relatedIssue.identifier, relation: relation.type === 'related' ? 'relates to' : 'blocks' }))
+      ],
+      url: issue.url
+    };
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Shared helpers for issue tracker adapters
+ */
+
+/**
+ * Ticket keys such as ABC-123 (JIRA and Linear share the format). Any non-alphanumeric
+ * character ends a key, so "ABC-123: msg", "(ABC-9)." and "feature/ABC-1_fix" all match.
+ */
+export const TICKET_KEY_PATTERN = /(?<![A-Za-z0-9])([A-Z][A-Z0-9]*-\d+)(?![A-Za-z0-9])/g;
+
+// Standards, encodings and hashes written like ticket keys (UTF-8, SHA-256, ISO-8601, RFC-7231).
+// Only a guess for when no project keys are configured; projects using these keys must configure them.
+const NON_TICKET_PREFIXES = new Set([
+  'UTF', 'UCS', 'SHA', 'MD', 'CRC', 'ISO', 'IEC', 'IEEE', 'RFC', 'ECMA', 'ES', 'PEP', 'JSR',
+  'CVE', 'CWE', 'TLS', 'SSL', 'HTTP', 'AES', 'RSA', 'CP', 'GPT'
+]);
+
+// Prefixes already reported as ignored, so each is logged once per process
+const reportedPrefixes = new Set();
+
+const isLikelyTicketPrefix = (prefix) => {
+  if (prefix.length > 1 && !NON_TICKET_PREFIXES.has(prefix)) return true;
+  if (!reportedPrefixes.has(prefix)) {
+    reportedPrefixes.add(prefix);
+    console.warn(`Not treating ${prefix}-<number> as a ticket key; set JIRA_PROJECT_KEYS (or LINEAR_TEAM_KEYS) if ${prefix} is a project`);
+  }
+  return false;
+};
+
+/**
+ * Distinct ticket keys in text. With `projectKeys`, exactly the keys with one of those prefixes count;
+ * without them, single-letter prefixes (X-1) and NON_TICKET_PREFIXES are dropped.
+ */
+export const matchTicketKeys = (text, projectKeys = []) => [...new Set((text || '').match(TICKET_KEY_PATTERN) || [])]
+  .filter(key => {
+    const prefix = key.split('-')[0];
+    return projectKeys.length > 0 ? projectKeys.includes(prefix) : isLikelyTicketPrefix(prefix);
+  });
+
+/**
+ * Extract Figma links from free text
+ */
+export const extractFigmaLinks = (text) => {
+  if (!text) return [];
+  const figmaRegex = /https?:\/\/(?:www\.)?figma\.com\/(?:file|design)\/[a-zA-Z0-9]+\/[^?\s)\]>]*/g;
+  return [...new Set(text.match(figmaRegex) || [])];
+};